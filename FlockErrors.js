@@ -0,0 +1,113 @@
+/**
+ * FlockErrors.js
+ * Error classes shared by FlockSingleton and FlockMember, plus the helpers that move
+ * an error across the channel.
+ */
+
+(function() {
+    class FlockError extends Error {
+        constructor(message, code, data) {
+            super(message);
+            this.name = this.constructor.name;
+            this.code = code;
+            if (data !== undefined) this.data = data;
+        }
+    }
+
+    // The request went unanswered in time: its `deadline` passed, or (as MaxRetriesError) every attempt did.
+    class RequestTimeoutError extends FlockError {
+        constructor(requestId, ms, message = `Request ${requestId} timed out after ${ms}ms`, code = 'ETIMEOUT') {
+            super(message, code, { requestId, ms });
+        }
+    }
+
+    // Every attempt (initial send plus MAX_RETRIES resends) timed out.
+    class MaxRetriesError extends RequestTimeoutError {
+        constructor(requestId, retries) {
+            super(requestId, undefined, `Max retries reached`, 'EMAXRETRIES');
+            this.data = { requestId, retries };
+        }
+    }
+
+    // The caller aborted the request through its AbortSignal.
+    class AbortError extends FlockError {
+        constructor(requestId, reason) {
+            super(`Request ${requestId} was aborted`, 'ABORT_ERR', { requestId });
+            if (reason !== undefined) this.reason = reason;
+        }
+    }
+
+    // The target of a direct request or message is not (or no longer) in the flock.
+    class MemberNotFoundError extends FlockError {
+        constructor(memberId) {
+            super(`Member ${memberId} is not in the flock`, 'ENOMEMBER', { memberId });
+        }
+    }
+
+    // The member's outgoing queue was full (`maxQueueSize`) and the entry was dropped or refused.
+    class QueueFullError extends FlockError {
+        constructor(requestId, maxQueueSize) {
+            super(`Outgoing queue is full (${maxQueueSize} entries)`, 'EQUEUEFULL', { requestId, maxQueueSize });
+        }
+    }
+
+    // acquireLock (or semaphore.acquire) waited `ms` without being granted the lock.
+    class LockTimeoutError extends FlockError {
+        constructor(name, ms) {
+            super(`Lock "${name}" not acquired within ${ms}ms`, 'ELOCKTIMEOUT', { name, ms });
+        }
+    }
+
+    // The member resigned while it was still waiting for a lock (`name`) or for the answer to a request.
+    class MemberResignedError extends FlockError {
+        constructor(memberId, name, requestId) {
+            if (name !== undefined && name !== null) super(`Member ${memberId} resigned while waiting for lock "${name}"`, 'ERESIGNED', { memberId, name });
+            else super(`Member ${memberId} resigned before request ${requestId} was answered`, 'ERESIGNED', { memberId, requestId });
+        }
+    }
+
+    // The leader's onRequest handler failed. `name`, `message`, `code` and `data` are the remote error's.
+    class RemoteError extends FlockError {
+        constructor(serialized = {}) {
+            super(serialized.message || 'Remote error', serialized.code, serialized.data);
+            this.name = serialized.name || 'Error';
+            this.remote = true;
+        }
+    }
+
+    function serializeError(err) {
+        if (err && typeof err === 'object') {
+            return {
+                name: err.name || 'Error',
+                message: err.message !== undefined ? String(err.message) : String(err),
+                code: err.code,
+                data: err.data
+            };
+        }
+        return { name: 'Error', message: String(err) };
+    }
+
+    function deserializeError(serialized) {
+        return new RemoteError(serialized);
+    }
+
+    const FlockErrors = {
+        FlockError,
+        RequestTimeoutError,
+        MaxRetriesError,
+        AbortError,
+        MemberNotFoundError,
+        QueueFullError,
+        LockTimeoutError,
+        MemberResignedError,
+        RemoteError,
+        serializeError,
+        deserializeError
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = FlockErrors;
+    } else if (typeof window !== 'undefined') {
+        window.FlockErrors = FlockErrors;
+    }
+})();
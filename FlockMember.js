@@ -5,19 +5,174 @@
 
 (function() {
     let getSingletonFactory;
+    let Errors;
+    let Scheduler;
 
     if (typeof require === 'function' && typeof module !== 'undefined') {
         try {
             const singletonModule = require('./FlockSingleton.js');
             getSingletonFactory = singletonModule.getFlockSingletonInstance;
+            Errors = require('./FlockErrors.js');
+            Scheduler = require('./FlockScheduler.js');
         } catch (e) {
-            console.error("FlockMember Error: Could not require './FlockSingleton.js'.");
+            console.error("FlockMember Error: Could not require './FlockSingleton.js', './FlockErrors.js' and './FlockScheduler.js'.");
         }
     } else if (typeof window !== 'undefined') {
-        if (window.FlockSingletonFactory) {
+        if (window.FlockSingletonFactory && window.FlockScheduler) {
             getSingletonFactory = window.FlockSingletonFactory;
+            Errors = window.FlockErrors;
+            Scheduler = window.FlockScheduler;
         } else {
-            throw new Error("FlockMember Error: FlockSingleton.js must be loaded BEFORE FlockMember.js");
+            throw new Error("FlockMember Error: FlockSingleton.js and FlockScheduler.js must be loaded BEFORE FlockMember.js");
+        }
+    }
+
+    // انواع پیامی که پاسخ واقعی دارند (بقیه فقط تأیید دریافت می‌گیرند)
+    const REQUEST_TYPES = new Set(['request', 'member-request']);
+
+    const EVENT_LOG_LEVELS = { 'election': 'info', 'leader-lost': 'warn', 'retry': 'info', 'drop': 'warn', 'message': 'debug' };
+    // تعداد نمونه‌های تأخیر که برای صدک‌ها نگه داشته می‌شوند
+    const LATENCY_SAMPLES = 500;
+
+    // Nearest-rank percentile of an ascending array; null when there are no samples.
+    function percentile(sorted, p) {
+        if (sorted.length === 0) return null;
+        return sorted[Math.min(sorted.length - 1, Math.ceil(p / 100 * sorted.length) - 1)];
+    }
+
+    /**
+     * Flow control for a member's traffic to the leader. Messages are coalesced for
+     * `batchWindow` ms and sent as one `message-batch` with a single ack, and at most
+     * `rateLimit` sends per second leave the member (a token bucket of `rateBurst`).
+     * Whatever has to wait sits in a queue of `maxQueueSize` entries; when it is full,
+     * `dropPolicy` drops the 'oldest' or the 'newest' entry, or 'reject's the new one by
+     * throwing QueueFullError to the caller. Both features are off by default, and then
+     * every entry is sent right away.
+     *
+     * Entries: { id, type, batchable, data, send(), fail(err) }.
+     */
+    class OutgoingQueue {
+        constructor(member, options = {}) {
+            this.member = member;
+            this.batchWindow = options.batchWindow || 0;
+            this.maxBatchSize = options.maxBatchSize || 100;
+            this.rateLimit = options.rateLimit || 0;
+            this.rateBurst = options.rateBurst || Math.max(1, this.rateLimit);
+            this.maxQueueSize = options.maxQueueSize || 1000;
+            this.dropPolicy = options.dropPolicy || 'oldest';
+
+            this.tokens = this.rateBurst;
+            this.refilledAt = Date.now();
+            this.queue = [];
+            this.batch = [];
+            this.batchTimer = null;
+            this.drainTimer = null;
+        }
+
+        get size() { return this.queue.length + this.batch.length; }
+
+        push(entry) {
+            if (!entry.batchable || !this.batchWindow) {
+                this.admit(entry);
+                return;
+            }
+            this.batch.push(entry);
+            if (this.batch.length >= this.maxBatchSize) this.flushBatch();
+            else if (!this.batchTimer) this.batchTimer = setTimeout(() => this.flushBatch(), this.batchWindow);
+        }
+
+        flushBatch() {
+            clearTimeout(this.batchTimer);
+            this.batchTimer = null;
+            const entries = this.batch;
+            this.batch = [];
+            if (entries.length === 0) return;
+
+            // لیدرهای قدیمی message-batch را نمی‌شناسند؛ پیام‌ها تک‌تک فرستاده می‌شوند
+            if (entries.length === 1 || !this.member._leaderSupports('batch')) {
+                entries.forEach(entry => this.admit(entry, true));
+                return;
+            }
+            const items = entries.map(entry => ({ requestId: entry.id, data: entry.data }));
+            this.admit({
+                id: null,
+                type: 'message-batch',
+                send: () => this.member._sendToLeader('message-batch', { items }),
+                fail: (err) => entries.forEach(entry => entry.fail(err))
+            }, true);
+        }
+
+        admit(entry, flushing = false) {
+            if (this.queue.length === 0 && this.takeToken()) {
+                entry.send();
+                return;
+            }
+
+            if (this.queue.length >= this.maxQueueSize) {
+                // در زمان تخلیه‌ی بسته فراخواننده‌ای برای دریافت خطا نیست، پس 'reject' مثل 'newest' رفتار می‌کند
+                if (this.dropPolicy === 'reject' && !flushing) throw new Errors.QueueFullError(entry.id, this.maxQueueSize);
+                if (this.dropPolicy === 'oldest') {
+                    this.drop(this.queue.shift());
+                } else {
+                    this.drop(entry);
+                    return;
+                }
+            }
+            this.queue.push(entry);
+            this.scheduleDrain();
+        }
+
+        drop(entry) {
+            this.member.metrics.drops++;
+            this.member._emit('drop', { reason: 'queue-full', type: entry.type, requestId: entry.id });
+            if (entry.fail) entry.fail(new Errors.QueueFullError(entry.id, this.maxQueueSize));
+        }
+
+        takeToken() {
+            if (!this.rateLimit) return true;
+            const now = Date.now();
+            this.tokens = Math.min(this.rateBurst, this.tokens + (now - this.refilledAt) / 1000 * this.rateLimit);
+            this.refilledAt = now;
+            if (this.tokens < 1) return false;
+            this.tokens -= 1;
+            return true;
+        }
+
+        scheduleDrain() {
+            if (this.drainTimer || this.queue.length === 0) return;
+            const wait = this.rateLimit ? Math.ceil((1 - this.tokens) / this.rateLimit * 1000) : 0;
+            this.drainTimer = setTimeout(() => {
+                this.drainTimer = null;
+                while (this.queue.length > 0 && this.takeToken()) this.queue.shift().send();
+                this.scheduleDrain();
+            }, Math.max(0, wait));
+        }
+
+        // Takes an entry back before it was sent (e.g. an aborted request). Returns whether it was found.
+        remove(id) {
+            const inQueue = this.queue.findIndex(entry => entry.id === id);
+            if (inQueue !== -1) {
+                this.queue.splice(inQueue, 1);
+                return true;
+            }
+            const inBatch = this.batch.findIndex(entry => entry.id === id);
+            if (inBatch !== -1) {
+                this.batch.splice(inBatch, 1);
+                return true;
+            }
+            return false;
+        }
+
+        // Empties the queue without sending anything; returns the entries it held.
+        clear() {
+            clearTimeout(this.batchTimer);
+            clearTimeout(this.drainTimer);
+            this.batchTimer = null;
+            this.drainTimer = null;
+            const entries = this.queue.concat(this.batch);
+            this.queue = [];
+            this.batch = [];
+            return entries;
         }
     }
 
@@ -25,87 +180,258 @@
         constructor(options = {}) {
             this.id = 'mem_' + Math.random().toString(36).substr(2, 9);
             this.debug = options.debug || false;
+            // logger: شیئی با متدهای debug/info/warn/error (مثلاً console)؛ جایگزین لاگ‌های debug
+            this.logger = options.logger || null;
+            // شنونده‌های رویدادهای on(event, cb): event -> Set(cb)
+            this.listeners = new Map();
+            this.metrics = {
+                requests: { sent: 0, succeeded: 0, failed: 0 },
+                retries: 0,
+                drops: 0,
+                // آخرین تأخیرهای درخواست (ms) برای محاسبه‌ی صدک‌ها
+                latencies: []
+            };
+            this.metadata = { ...FlockMember.defaultMetadata(), ...(options.metadata || {}) };
+
+            // اولویت انتخاب: عدد ثابت یا تابعی که در هر انتخابات/ضربان دوباره ارزیابی می‌شود
+            this.priority = options.priority || 0;
+            this.migrateAfter = options.migrateAfter || 0;
+            this.priorityMargin = options.priorityMargin || 1;
 
             this.callbacks = {};
             this.pendingRequests = new Map();
             this.retryQueue = new Map();
             this.MAX_RETRIES = 3;
+            // فاصله‌ی تلاش‌های مجدد: نمایی با نویز تصادفی، از retryBaseDelay تا maxRetryDelay
+            this.retryBaseDelay = options.retryBaseDelay || 1000;
+            this.maxRetryDelay = options.maxRetryDelay || 30000;
+            this.backoffTimer = null;
+            this.backoffAt = null;
+
+            // دسته‌بندی، محدودیت نرخ و صف محدود برای ترافیک به سمت لیدر
+            this.outgoing = new OutgoingQueue(this, options);
+            // سهم هر عضو از کار لیدر، وقتی این عضو لیدر است (سمت لیدر اعمال می‌شود)
+            this.memberRateLimit = options.memberRateLimit || 0;
+            this.memberRateBurst = options.memberRateBurst || Math.max(1, this.memberRateLimit);
+
+            // قفل‌های گرفته‌شده و درخواست‌های قفل در انتظار پاسخ لیدر
+            this.heldLocks = new Map();
+            this.pendingLocks = new Map();
+            this.lockRenewTimer = null;
+            // مهلت پیش‌فرض acquireLock؛ بدون لیدر هیچ پاسخی نمی‌رسد
+            this.lockTimeout = options.lockTimeout || 30000;
+
+            // نقش‌هایی که برایشان نامزد شده‌ایم (role -> { priority, spread }) و شنونده‌های هر نقش
+            this.campaigns = new Map();
+            this.roleCallbacks = new Map();
+
+            // مشترکین موضوع‌ها: topic -> Set(cb)
+            this.topicSubscribers = new Map();
+
+            // کارهای زمان‌بندی‌شده که فقط در زمان رهبری این عضو اجرا می‌شوند
+            this.jobs = new Map();
 
             // ذخیره آخرین لیدر شناخته شده برای جلوگیری از ارسال تکراری هنگام کشف اولیه
             this.lastKnownLeaderId = null;
 
             this.singleton = getSingletonFactory(options);
+            this.state = this._createStateApi();
+            // صف تلاش مجدد به تغییر لیدر وابسته است، حتی اگر کاربر onLeadershipChange را ثبت نکند
+            this.onLeadershipChange(null);
+
+            // صندوق خروجی ماندگار (اختیاری): پیام‌ها و درخواست‌های در انتظار پس از reload از دست نمی‌روند
+            this.outbox = options.outbox || null;
+            this.outboxKey = `flock_outbox:${this.singleton.CHANNEL_NAME}:${this.id}`;
+            this.outboxItems = new Map();
+            this.outboxWrites = Promise.resolve();
 
             this.RETRY_CHECK_INTERVAL = 5000;
             this.retryTimer = null;
             this._startRetryLoop();
 
-            if(this.debug) console.log(`[${this.id}] 🚀 Member joined channel: ${this.singleton.CHANNEL_NAME}`);
+            this._log('info', `🚀 Member joined channel: ${this.singleton.CHANNEL_NAME}`);
 
             this.singleton.register(this);
+            // تا آن موقع اعضای زنده‌ی دیگر به حضور ما پاسخ داده‌اند و در roster هستند
+            this.adoptTimer = this.outbox ? setTimeout(() => this._adoptOrphanedOutbox(), this.singleton.HEARTBEAT_INTERVAL) : null;
         }
 
         // --- Public API ---
 
         sendRequest(data, options = {}, callback = null) {
+            return this._request('request', null, data, options, callback);
+        }
+
+        /**
+         * Direct RPC to any member, answered by that member's onRequest handler (with
+         * `context.direct` set). Same options, retries and errors as sendRequest; rejects
+         * with MemberNotFoundError if the target is unknown or leaves before answering.
+         */
+        request(targetId, data, options = {}, callback = null) {
+            return this._request('member-request', targetId, data, options, callback);
+        }
+
+        _request(type, targetId, data, options = {}, callback = null) {
             if (typeof options === 'function') { callback = options; options = {}; }
             const reqId = Math.random().toString(36).substr(2);
             const requestTimeoutMs = options.timeout || (this.singleton.HEARTBEAT_TTL + 500);
 
-            const promise = new Promise((resolve, reject) => {
-                const timeout = setTimeout(() => {
-                    if (this.pendingRequests.has(reqId)) {
-                        this.pendingRequests.delete(reqId);
-                        this._addToRetryQueue(reqId, data, 'request', resolve, reject, callback);
-                    }
-                }, requestTimeoutMs);
-
-                this.pendingRequests.set(reqId, {
-                    isMessage: false,
-                    type: 'request',
-                    data: data,
-                    resolve,
-                    reject,
-                    callback,
-                    timeout
-                });
+            const signal = options.signal;
 
-                this.singleton.broadcastInternal({ type: 'request', senderId: this.id, requestId: reqId, payload: data });
+            const promise = new Promise((resolveFn, rejectFn) => {
+                if (signal && signal.aborted) {
+                    rejectFn(new Errors.AbortError(reqId, signal.reason));
+                    return;
+                }
+                if (targetId && !this.singleton.roster.has(targetId)) {
+                    rejectFn(new Errors.MemberNotFoundError(targetId));
+                    return;
+                }
+
+                // deadline: سقف کل زمان انتظار، مستقل از تلاش‌های مجدد
+                let deadlineTimer = null;
+                const onAbort = () => {
+                    cleanup();
+                    this._cancelRequest(reqId);
+                    rejectFn(new Errors.AbortError(reqId, signal.reason));
+                };
+                const cleanup = () => {
+                    clearTimeout(deadlineTimer);
+                    if (signal) signal.removeEventListener('abort', onAbort);
+                };
+                const resolve = (res) => { cleanup(); resolveFn(res); };
+                const reject = (err) => { cleanup(); rejectFn(err); };
+
+                if (options.deadline) {
+                    deadlineTimer = setTimeout(() => {
+                        cleanup();
+                        this._cancelRequest(reqId);
+                        rejectFn(new Errors.RequestTimeoutError(reqId, options.deadline));
+                    }, options.deadline);
+                }
+                if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+                const dispatch = () => {
+                    const onTimeout = () => {
+                        if (this.pendingRequests.has(reqId)) {
+                            this.pendingRequests.delete(reqId);
+                            this._addToRetryQueue(reqId, data, type, resolve, reject, callback, options.onProgress, targetId);
+                        }
+                    };
+                    const timeout = setTimeout(onTimeout, requestTimeoutMs);
 
-                if (this.debug) console.log(`[${this.id}] 📤 Sending Request ${reqId}. Timeout: ${requestTimeoutMs}ms`);
+                    this.pendingRequests.set(reqId, {
+                        isMessage: false,
+                        type: type,
+                        targetId: targetId,
+                        data: data,
+                        resolve,
+                        reject,
+                        callback,
+                        onProgress: options.onProgress,
+                        timeout,
+                        timeoutMs: requestTimeoutMs,
+                        onTimeout
+                    });
+
+                    const msg = { type: type, senderId: this.id, requestId: reqId, payload: data };
+                    if (targetId) msg.targetId = targetId;
+                    this.singleton.broadcastInternal(msg);
+
+                    this._log('debug', `📤 Sending Request ${reqId}. Timeout: ${requestTimeoutMs}ms`);
+                };
+
+                // درخواست مستقیم به یک عضو زنده وابسته است؛ نه در صندوق خروجی می‌ماند و نه از صف لیدر می‌گذرد
+                if (targetId) {
+                    dispatch();
+                    return;
+                }
+                this._outboxAdd(reqId, type, data);
+                try {
+                    this.outgoing.push({
+                        id: reqId,
+                        type,
+                        send: dispatch,
+                        fail: (err) => {
+                            this._outboxRemove(reqId);
+                            reject(err);
+                        }
+                    });
+                } catch (err) {
+                    this._outboxRemove(reqId);
+                    reject(err);
+                }
             });
 
-            if (callback) { promise.then(res => callback(null, res)).catch(err => callback(err)); }
+            const startedAt = Date.now();
+            this.metrics.requests.sent++;
+            promise.then(() => {
+                this.metrics.requests.succeeded++;
+                this._recordLatency(Date.now() - startedAt);
+            }, () => { this.metrics.requests.failed++; });
+
+            if (callback) { promise.then(res => callback(null, res), err => callback(err)); }
             return promise;
         }
 
         sendMessageToLeader(data) {
-            const reqId = Math.random().toString(36).substr(2);
-            const timeout = setTimeout(() => {
-                if (this.pendingRequests.has(reqId)) {
-                    this.pendingRequests.delete(reqId);
-                    this._addToRetryQueue(reqId, data, 'message-to-leader', null, null, null);
-                }
-            }, this.singleton.HEARTBEAT_TTL + 500);
+            this._queueToLeader('message-to-leader', data, true);
+        }
 
-            this.pendingRequests.set(reqId, {
-                isMessage: true,
-                type: 'message-to-leader',
-                data: data,
-                timeout
-            });
+        /**
+         * Like sendRequest, but returns an async iterable over the leader's progress chunks.
+         * Iteration ends when the final reply arrives (available as `stream.result`) and
+         * throws if the request fails. Leaving the loop early cancels the request.
+         */
+        streamRequest(data, options = {}) {
+            const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+            if (controller && options.signal) {
+                if (options.signal.aborted) controller.abort(options.signal.reason);
+                else options.signal.addEventListener('abort', () => controller.abort(options.signal.reason), { once: true });
+            }
+
+            const chunks = [];
+            let done = false;
+            let failure = null;
+            let wake = null;
+            const notify = () => { if (wake) { const w = wake; wake = null; w(); } };
 
-            this.singleton.broadcastInternal({ type: 'message-to-leader', senderId: this.id, requestId: reqId, payload: data });
+            const result = this.sendRequest(data, {
+                ...options,
+                signal: controller ? controller.signal : options.signal,
+                onProgress: (chunk) => {
+                    chunks.push(chunk);
+                    if (options.onProgress) options.onProgress(chunk);
+                    notify();
+                }
+            });
+            result.then(() => { done = true; notify(); }, (err) => { failure = err; done = true; notify(); });
 
-            if (this.debug) console.log(`[${this.id}] 📤 Sending MessageToLeader ${reqId}.`);
+            const iterator = {
+                result,
+                next: async () => {
+                    while (chunks.length === 0 && !done) await new Promise(r => { wake = r; });
+                    if (chunks.length > 0) return { value: chunks.shift(), done: false };
+                    if (failure) throw failure;
+                    return { value: undefined, done: true };
+                },
+                return: async () => {
+                    if (!done && controller) controller.abort();
+                    done = true;
+                    chunks.length = 0;
+                    return { value: undefined, done: true };
+                },
+                [Symbol.asyncIterator]() { return iterator; }
+            };
+            return iterator;
         }
 
         onMessage(cb) { this.callbacks.onMessage = cb; }
         onRequest(cb) { this.callbacks.onRequest = cb; }
 
         onLeadershipChange(cb) {
-            this.callbacks.onLeadershipChange = (newLeaderId) => {
-                if (this.debug) console.log(`[${this.id}] 👑 Leadership update: ${this.lastKnownLeaderId} -> ${newLeaderId}`);
+            this.callbacks.onLeadershipChange = (newLeaderId, handoff) => {
+                this._log('debug', `👑 Leadership update: ${this.lastKnownLeaderId} -> ${newLeaderId}`);
 
                 // منطق هوشمند برای Retry:
                 const amILeader = (newLeaderId === this.id);
@@ -113,128 +439,844 @@
 
                 // فقط اگر "خودم لیدر شدم" یا "لیدر واقعاً عوض شد (نه کشف اولیه)" پیام‌ها را باز ارسال کن.
                 // اگر isJustDiscovery باشد، یعنی پیام اولیه ما احتمالاً رسیده است، پس عجله نکن.
-                if (amILeader || !isJustDiscovery) {
+                // در handoff لیدر قبلی کارهای بافرشده را به جانشین می‌سپارد؛ ارسال دوباره فقط هندلر را دوبار اجرا می‌کند.
+                if (handoff) {
+                    this._log('debug', 'Leadership handed off. Pending requests move with it (No immediate retry).');
+                } else if (amILeader || !isJustDiscovery) {
                     this._movePendingToRetry();
-                    this._processRetryQueue();
                 } else {
-                    if (this.debug) console.log(`[${this.id}] Leader discovered. Waiting for ack on pending requests (No immediate retry).`);
+                    this._log('debug', 'Leader discovered. Waiting for ack on pending requests (No immediate retry).');
                 }
+                // تلاش‌هایی که بدون لیدر سررسید شده‌اند منتظر همین لحظه بوده‌اند
+                if (newLeaderId) this._processRetryQueue();
 
                 this.lastKnownLeaderId = newLeaderId;
-                if (cb) cb(newLeaderId);
+                if (cb) cb(newLeaderId, handoff);
             };
         }
 
+        /**
+         * Any member may message another. Returns whether the message went out; a target that
+         * is not in the flock is reported with a 'drop' event (reason 'no-member') instead.
+         */
         sendToMember(id, data) {
-            if(this.isLeader()) this.singleton.broadcastInternal({ type: 'direct-message', senderId: this.id, targetId: id, payload: data });
+            if (!this.singleton.roster.has(id)) {
+                this._log('warn', `✉️ Member ${id} is not in the flock; direct message dropped.`);
+                this.metrics.drops++;
+                this._emit('drop', { reason: 'no-member', type: 'direct-message', targetId: id });
+                return false;
+            }
+            this.singleton.broadcastInternal({ type: 'direct-message', senderId: this.id, targetId: id, payload: data });
+            return true;
         }
         broadcastToMembers(data) {
-            if(this.isLeader()) this.singleton.broadcastInternal({ type: 'broadcast', senderId: this.id, payload: data });
+            this.singleton.broadcastInternal({ type: 'broadcast', senderId: this.id, payload: data });
         }
 
-        cedeLeadership() {
-            if (!this.isLeader()) return;
-            if (this.debug) console.log(`[${this.id}] ✋ Ceding leadership.`);
+        // --- Topics ---
+
+        // cb(data, { topic, senderId }) for every publish on `topic` by another member. Returns an unsubscribe function.
+        subscribe(topic, cb) {
+            if (!this.topicSubscribers.has(topic)) this.topicSubscribers.set(topic, new Set());
+            this.topicSubscribers.get(topic).add(cb);
+            return () => {
+                const set = this.topicSubscribers.get(topic);
+                if (set && set.delete(cb) && set.size === 0) this.topicSubscribers.delete(topic);
+            };
+        }
+
+        publish(topic, data) {
+            this.singleton.broadcastInternal({ type: 'publish', senderId: this.id, payload: { topic, data } });
+        }
+
+        /**
+         * Without options: resign and let the flock elect someone else.
+         * With `{ to, state }`: hand leadership to `to` (or the best-ranked member) and pass
+         * `state` to its onLeadershipChange. Resolves with whether the handoff was confirmed;
+         * when some member does not support handoff, this steps down plainly and resolves false.
+         * A `to` that is not in the roster resolves false at once and leaves this member leading.
+         */
+        cedeLeadership(options) {
+            if (!this.isLeader()) return Promise.resolve(false);
+
+            const targeted = options && (options.to || options.state !== undefined);
+            if (targeted && this.supports('handoff')) {
+                const to = options.to || this.singleton.pickSuccessor(this.id);
+                if (!to || to === this.id) return Promise.resolve(false);
+                if (!this.singleton.roster.has(to)) {
+                    this._log('warn', `🤝 Cannot hand leadership to ${to}: it is not a live member.`);
+                    return Promise.resolve(false);
+                }
+                this._log('debug', `🤝 Handing leadership to ${to}.`);
+                return this.singleton.startHandoff(this.id, to, options.state);
+            }
+            // عضوی که handoff را نمی‌شناسد پیشنهاد را نادیده می‌گیرد: کناره‌گیری ساده
+            if (targeted) this._log('warn', '🤝 Not every member supports handoff; stepping down without it.');
+
+            this._log('debug', '✋ Ceding leadership.');
 
             this.singleton.setTemporaryExclusion(this.id, 1500);
-            this.singleton.broadcastInternal({ type: 'resign', senderId: this.id });
+            this.singleton.broadcastInternal({ type: 'resign', senderId: this.id, term: this.singleton.term });
+            return Promise.resolve(!targeted);
+        }
+
+        // --- Distributed Locks ---
+
+        acquireLock(name, options = {}) { return this._acquireLock(name, 1, options, true); }
+        tryLock(name, options = {}) { return this._acquireLock(name, 1, options, false); }
+
+        semaphore(name, permits = 1) {
+            return {
+                name,
+                permits,
+                acquire: (options = {}) => this._acquireLock(name, permits, options, true),
+                tryAcquire: (options = {}) => this._acquireLock(name, permits, options, false)
+            };
+        }
+
+        // --- Roles ---
+
+        /**
+         * Stands for the named role. Every role has its own election, independent of the
+         * main leader: `priority` overrides the member's priority for this role, and
+         * `spread` prefers candidates that hold fewer roles.
+         */
+        campaign(role, options = {}) {
+            this.campaigns.set(role, { priority: options.priority, spread: !!options.spread });
+            this._log('debug', `🗳️ Campaigning for role "${role}".`);
+            this.singleton.roles.campaign(role);
+        }
+
+        withdraw(role) {
+            if (!this.campaigns.delete(role)) return;
+            this.singleton.roles.resign(this.id, role);
+        }
+
+        // cb(holderId, { role, term }) on every change of holder or term; holderId is null while vacant.
+        onRole(role, cb) {
+            this.roleCallbacks.set(role, cb);
+            const info = this.singleton.roles.info(role);
+            if (info.holderId) setTimeout(() => { if (this.roleCallbacks.get(role) === cb) this._notifyRole(cb, info.holderId, { role, term: info.term }); }, 0);
+        }
+
+        _notifyRole(cb, holderId, info) {
+            try {
+                cb(holderId, info);
+            } catch (e) {
+                this._log('error', `❌ An onRole callback for "${info.role}" threw.`, { role: info.role, error: e });
+            }
+        }
+
+        getRole(role) { return this.singleton.roles.info(role); }
+        holdsRole(role) { return this.getRole(role).holderId === this.id; }
+
+        // --- Scheduled Jobs ---
+
+        /**
+         * Runs `fn({ name, lastRun, signal })` on `{ every: ms }` or `{ cron: '0 3 * * *' }`,
+         * but only while this member is the leader. The last run time is shared across the
+         * flock, so a new leader picks the schedule up where the old one left off. Losing
+         * leadership aborts a run in progress through `signal`.
+         */
+        schedule(name, spec, fn) {
+            this.unschedule(name);
+            const job = new Scheduler.ScheduledJob(this, name, spec, fn);
+            this.jobs.set(name, job);
+            if (this.isLeader()) job.start();
+            return { name, cancel: () => { if (this.jobs.get(name) === job) this.unschedule(name); } };
+        }
+
+        unschedule(name) {
+            const job = this.jobs.get(name);
+            if (!job) return;
+            job.stop();
+            this.jobs.delete(name);
         }
 
         isLeader() { return this.singleton.leaderId === this.id; }
-        getMembersInfo() { return this.isLeader() ? this.singleton.getGlobalMembers() : []; }
+        getMembersInfo() { return this.singleton.getRoster(); }
+
+        // Wire protocol of this instance and the features every member of the flock supports.
+        getProtocolInfo() { return this.singleton.getProtocolInfo(); }
+        supports(feature) { return this.singleton.getNegotiatedFeatures().includes(feature); }
+
+        // Only the leader reads batches, so what it advertised counts; nothing is assumed before its presence arrives.
+        _leaderSupports(feature) {
+            const record = this.singleton.roster.get(this.singleton.leaderId);
+            return !!record && record.features.includes(feature);
+        }
+
+        // --- Observability ---
+
+        /**
+         * Subscribes to a structured event: 'election', 'leader-lost', 'retry', 'drop' or
+         * 'message'. Returns an unsubscribe function.
+         */
+        on(event, cb) {
+            if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+            this.listeners.get(event).add(cb);
+            return () => this.off(event, cb);
+        }
+
+        off(event, cb) {
+            const set = this.listeners.get(event);
+            if (set && set.delete(cb) && set.size === 0) this.listeners.delete(event);
+        }
+
+        /** A snapshot of this member's request metrics and its instance's election and traffic counters. */
+        getStats() {
+            const instance = this.singleton.getStats();
+            const sorted = this.metrics.latencies.slice().sort((a, b) => a - b);
+            return {
+                memberId: this.id,
+                isLeader: this.isLeader(),
+                ...instance,
+                requests: {
+                    ...this.metrics.requests,
+                    latency: {
+                        count: sorted.length,
+                        p50: percentile(sorted, 50),
+                        p90: percentile(sorted, 90),
+                        p99: percentile(sorted, 99),
+                        max: sorted.length ? sorted[sorted.length - 1] : null
+                    }
+                },
+                retries: this.metrics.retries,
+                drops: this.metrics.drops,
+                queues: {
+                    pending: this.pendingRequests.size,
+                    retry: this.retryQueue.size,
+                    outgoing: this.outgoing.size,
+                    outbox: this.outboxItems.size,
+                    locks: this.pendingLocks.size
+                }
+            };
+        }
+
+        getPriority() {
+            if (typeof this.priority !== 'function') return Number(this.priority) || 0;
+            try { return Number(this.priority()) || 0; } catch (e) { return 0; }
+        }
+
+        onMemberJoin(cb) { this.callbacks.onMemberJoin = cb; }
+        onMemberLeave(cb) { this.callbacks.onMemberLeave = cb; }
+
+        setMetadata(patch) {
+            this.metadata = { ...this.metadata, ...patch };
+            this.singleton.sendPresence();
+        }
+
+        /**
+         * Built-in browser election policy: visible tabs outrank hidden ones and the focused
+         * tab gets a small extra boost. Spread the result into the FlockMember options.
+         * Only visibility differences (`priorityMargin` = `visible`) migrate leadership, and
+         * only after they have lasted `migrateAfter` ms, so switching tabs doesn't flap it.
+         */
+        static preferVisible(options = {}) {
+            const { visible = 2, focused = 1, migrateAfter = 30000 } = options;
+            return {
+                priority: () => {
+                    if (typeof document === 'undefined') return 0;
+                    let priority = 0;
+                    if (document.visibilityState === 'visible') priority += visible;
+                    if (typeof document.hasFocus === 'function' && document.hasFocus()) priority += focused;
+                    return priority;
+                },
+                migrateAfter,
+                priorityMargin: visible
+            };
+        }
+
+        // اطلاعاتی که در مرورگر به‌طور خودکار اعلام می‌شود
+        static defaultMetadata() {
+            const metadata = {};
+            if (typeof location !== 'undefined') metadata.url = location.href;
+            if (typeof document !== 'undefined' && document.visibilityState) metadata.visibilityState = document.visibilityState;
+            return metadata;
+        }
 
         resign() {
-            if (this.debug) console.log(`[${this.id}] 👋 Resigning permanently.`);
+            this._log('debug', '👋 Resigning permanently.');
+            this._releaseAllLocks();
+            this.jobs.forEach(job => job.stop());
+            this.jobs.clear();
+            this.campaigns.clear();
+            this.topicSubscribers.clear();
+            this.listeners.clear();
+            this._rejectOutstanding();
+            clearTimeout(this.backoffTimer);
+            clearTimeout(this.adoptTimer);
+            this.stateSubscriptions.forEach(unsubscribe => unsubscribe());
+            this.stateSubscriptions.clear();
             this.singleton.unregister(this.id);
             if (this.retryTimer) clearInterval(this.retryTimer);
+            // بقیه‌ی اعضا می‌توانند بلافاصله موارد باقی‌مانده را تحویل بگیرند
+            if (this.outbox && this.outboxItems.size > 0) this._outboxFlush(0);
         }
 
         // --- Internal Helpers ---
 
+        // Library logs go to the `logger` option when one is set, otherwise to the console while `debug` is on.
+        _log(level, message, fields = {}) {
+            if (this.logger) {
+                const write = this.logger[level] || this.logger.log;
+                if (typeof write === 'function') write.call(this.logger, `[${this.id}] ${message}`, { memberId: this.id, ...fields });
+                return;
+            }
+            if (!this.debug) return;
+            const write = (level === 'warn' || level === 'error') ? console.error : console.log;
+            if (fields.error !== undefined) write(`[${this.id}] ${message}`, fields.error);
+            else write(`[${this.id}] ${message}`);
+        }
+
+        _emit(event, data) {
+            const set = this.listeners.get(event);
+            if (set) {
+                set.forEach(cb => {
+                    try {
+                        cb(data);
+                    } catch (e) {
+                        this._log('error', `❌ A listener for "${event}" threw.`, { event, error: e });
+                    }
+                });
+            }
+            // پیام‌ها پرتعدادند و فقط در سطح debug به logger می‌روند
+            if (this.logger) this._log(EVENT_LOG_LEVELS[event] || 'info', event, { event, ...data });
+        }
+
+        _recordLatency(ms) {
+            const latencies = this.metrics.latencies;
+            latencies.push(ms);
+            if (latencies.length > LATENCY_SAMPLES) latencies.shift();
+        }
+
+        // Drops a request from both queues and tells the leader to stop working on it.
+        _cancelRequest(reqId) {
+            // هنوز در صف خروجی است و به لیدر نرسیده
+            if (this.outgoing.remove(reqId)) {
+                this._outboxRemove(reqId);
+                return;
+            }
+            const p = this.pendingRequests.get(reqId);
+            if (p) clearTimeout(p.timeout);
+            const wasPending = this.pendingRequests.delete(reqId);
+            const wasQueued = this.retryQueue.delete(reqId);
+            if (!wasPending && !wasQueued) return;
+            this._outboxRemove(reqId);
+
+            this.singleton.broadcastInternal({ type: 'request-cancel', senderId: this.id, requestId: reqId });
+            this._log('debug', `🛑 Request ${reqId} cancelled.`);
+        }
+
+        /**
+         * One-way delivery through the outgoing queue. Messages are kept in the outbox
+         * (when one is configured) from the moment they are queued. Returns the request id.
+         */
+        _queueToLeader(type, data, durable = false) {
+            const reqId = Math.random().toString(36).substr(2);
+            if (durable) this._outboxAdd(reqId, type, data);
+            try {
+                this.outgoing.push({
+                    id: reqId,
+                    type,
+                    data,
+                    batchable: type === 'message-to-leader',
+                    send: () => this._sendToLeader(type, data, reqId),
+                    fail: () => this._outboxRemove(reqId)
+                });
+            } catch (err) {
+                this._outboxRemove(reqId);
+                throw err;
+            }
+            return reqId;
+        }
+
+        // Fire-and-forget delivery to the leader, acknowledged by a `response` and retried like a request.
+        _sendToLeader(type, data, reqId = Math.random().toString(36).substr(2)) {
+            const timeout = setTimeout(() => {
+                if (this.pendingRequests.has(reqId)) {
+                    this.pendingRequests.delete(reqId);
+                    this._addToRetryQueue(reqId, data, type, null, null, null);
+                }
+            }, this.singleton.HEARTBEAT_TTL + 500);
+
+            this.pendingRequests.set(reqId, {
+                isMessage: true,
+                type: type,
+                data: data,
+                timeout
+            });
+
+            this.singleton.broadcastInternal({ type: type, senderId: this.id, requestId: reqId, payload: data });
+
+            this._log('debug', `📤 Sending ${type} ${reqId}.`);
+            return reqId;
+        }
+
+        _createStateApi() {
+            const store = this.singleton.store;
+            // اشتراک‌ها در مخزن مشترک singleton ثبت می‌شوند؛ هنگام resign باید حذف شوند
+            this.stateSubscriptions = new Set();
+            return {
+                get: (key) => store.get(key),
+                keys: () => store.keys().filter(key => !key.startsWith(Scheduler.JOB_STATE_PREFIX)),
+                set: (key, value) => this._queueToLeader('state-set', { key, value }),
+                delete: (key) => this._queueToLeader('state-set', { key, deleted: true }),
+                subscribe: (key, cb) => {
+                    const unsubscribe = store.subscribe(key, cb, this);
+                    this.stateSubscriptions.add(unsubscribe);
+                    return () => {
+                        this.stateSubscriptions.delete(unsubscribe);
+                        unsubscribe();
+                    };
+                }
+            };
+        }
+
+        // Library records (job runs) bypass the outgoing queue: its rate limit and size are for the caller's own writes.
+        _setInternalState(key, value) {
+            this._sendToLeader('state-set', { key, value });
+        }
+
         _startRetryLoop() {
             if (this.retryTimer) clearInterval(this.retryTimer);
             this.retryTimer = setInterval(() => {
-                if (this.singleton.leaderId && this.retryQueue.size > 0) {
-                    if (this.debug) console.log(`[${this.id}] 🔄 Retry Loop: Processing ${this.retryQueue.size} items...`);
+                // تلاش‌های مجدد زمان‌بندی خودشان را دارند؛ این‌جا فقط تور ایمنی است
+                if (this.retryQueue.size > 0) {
+                    this._log('debug', `🔄 Retry Loop: Processing ${this.retryQueue.size} items...`);
                     this._processRetryQueue();
                 }
+                if (this.outbox) {
+                    if (this.outboxItems.size > 0) this._outboxFlush();
+                    this._adoptOrphanedOutbox();
+                }
             }, this.RETRY_CHECK_INTERVAL);
         }
 
-        _addToRetryQueue(reqId, data, type, resolve, reject, callback) {
-            if (this.debug) console.log(`[${this.id}] 🚨 ${type} ${reqId} timed out. Added to Retry Queue.`);
-            this.retryQueue.set(reqId, { type, data, resolve, reject, callback, retries: 0 });
+        _addToRetryQueue(reqId, data, type, resolve, reject, callback, onProgress, targetId) {
+            this._log('debug', `🚨 ${type} ${reqId} timed out. Added to Retry Queue.`);
+            this._queueRetry(reqId, { type, targetId, data, resolve, reject, callback, onProgress, retries: 0 }, this._retryDelay(0));
+        }
+
+        // Exponential backoff with jitter: half of the delay is fixed, the other half random.
+        _retryDelay(attempt) {
+            const delay = Math.min(this.maxRetryDelay, this.retryBaseDelay * Math.pow(2, attempt));
+            return delay / 2 + Math.random() * delay / 2;
+        }
+
+        _queueRetry(reqId, item, delay) {
+            item.dueAt = Date.now() + delay;
+            this.retryQueue.set(reqId, item);
+            this._scheduleRetry();
         }
 
+        // Direct requests go to a member, everything else to the leader; without a leader only the former can go.
+        _canResend(item) {
+            return !!(item.targetId || this.singleton.leaderId);
+        }
+
+        // One timer for the earliest item that can go. Items for the leader wait for one: the next leader change resends them.
+        _scheduleRetry() {
+            let dueAt = Infinity;
+            this.retryQueue.forEach(item => { if (this._canResend(item)) dueAt = Math.min(dueAt, item.dueAt || 0); });
+            if (dueAt === Infinity || (this.backoffTimer && this.backoffAt <= dueAt)) return;
+
+            clearTimeout(this.backoffTimer);
+            this.backoffAt = dueAt;
+            this.backoffTimer = setTimeout(() => {
+                this.backoffTimer = null;
+                this.backoffAt = null;
+                this._processRetryQueue();
+            }, Math.max(0, dueAt - Date.now()));
+        }
+
+        // Resends the items whose backoff has passed.
         _processRetryQueue() {
             if (this.retryQueue.size === 0) return;
 
-            if (this.debug) console.log(`[${this.id}] ⚙️ Processing Retry Queue (${this.retryQueue.size} items).`);
-
-            const items = Array.from(this.retryQueue.entries());
-            this.retryQueue.clear();
+            const now = Date.now();
+            const items = Array.from(this.retryQueue.entries()).filter(([, item]) => !(item.dueAt > now) && this._canResend(item));
+            if (items.length > 0) this._log('debug', `⚙️ Processing Retry Queue (${items.length}/${this.retryQueue.size} items due).`);
+            items.forEach(([reqId]) => this.retryQueue.delete(reqId));
 
             items.forEach(([reqId, item]) => {
                 item.retries++;
                 if (item.retries > this.MAX_RETRIES) {
-                    if (this.debug) console.error(`[${this.id}] ❌ ${item.type} ${reqId} failed after ${this.MAX_RETRIES} attempts. Dropping.`);
-                    if (item.reject) item.reject(new Error(`Max retries reached`));
+                    this._log('warn', `❌ ${item.type} ${reqId} failed after ${this.MAX_RETRIES} attempts. Dropping.`);
+                    this.metrics.drops++;
+                    this._emit('drop', { reason: 'max-retries', type: item.type, requestId: reqId, targetId: item.targetId });
+                    if (item.reject) item.reject(new Errors.MaxRetriesError(reqId, this.MAX_RETRIES));
+                    this._forgetDelivery(reqId, item);
                     return;
                 }
+                this.metrics.retries++;
+                this._emit('retry', { type: item.type, requestId: reqId, targetId: item.targetId, attempt: item.retries });
                 this._resendItem(reqId, item);
             });
+            this._scheduleRetry();
         }
 
         _movePendingToRetry() {
             if (this.pendingRequests.size === 0) return;
 
-            if (this.debug) console.log(`[${this.id}] 📦 Moving ${this.pendingRequests.size} PENDING requests to Retry Queue.`);
+            this._log('debug', `📦 Moving ${this.pendingRequests.size} PENDING requests to Retry Queue.`);
 
             this.pendingRequests.forEach((p, reqId) => {
+                // تغییر لیدر روی درخواست‌های مستقیم به اعضا اثری ندارد
+                if (p.targetId) return;
                 clearTimeout(p.timeout);
-                this.retryQueue.set(reqId, {
+                this.pendingRequests.delete(reqId);
+                // پخش در طول retryBaseDelay تا لیدر جدید یک‌جا زیر بار همه‌ی درخواست‌ها نرود
+                this._queueRetry(reqId, {
                     type: p.type,
                     data: p.data,
                     resolve: p.resolve,
                     reject: p.reject,
                     callback: p.callback,
+                    onProgress: p.onProgress,
+                    originId: p.originId,
                     retries: 0
-                });
+                }, Math.random() * this.retryBaseDelay);
             });
-            this.pendingRequests.clear();
         }
 
         _resendItem(reqId, item) {
-            if (this.debug) console.log(`[${this.id}] 🔁 Resending ${item.type} ${reqId} (Try ${item.retries}/${this.MAX_RETRIES})`);
+            this._log('debug', `🔁 Resending ${item.type} ${reqId} (Try ${item.retries}/${this.MAX_RETRIES})`);
 
-            const timeout = setTimeout(() => {
+            const timeoutMs = this.singleton.HEARTBEAT_TTL + 500;
+            const onTimeout = () => {
                 if (this.pendingRequests.has(reqId)) {
                     this.pendingRequests.delete(reqId);
-                    this.retryQueue.set(reqId, item);
-                    if (this.debug) console.log(`[${this.id}] ⚠️ Resent item ${reqId} timed out again.`);
+                    this._queueRetry(reqId, item, this._retryDelay(item.retries));
+                    this._log('debug', `⚠️ Resent item ${reqId} timed out again.`);
                 }
-            }, this.singleton.HEARTBEAT_TTL + 500);
+            };
+            const timeout = setTimeout(onTimeout, timeoutMs);
 
             this.pendingRequests.set(reqId, {
-                isMessage: (item.type === 'message-to-leader'),
+                isMessage: !REQUEST_TYPES.has(item.type),
                 type: item.type,
+                targetId: item.targetId,
                 data: item.data,
                 resolve: item.resolve,
                 reject: item.reject,
                 callback: item.callback,
-                timeout
+                onProgress: item.onProgress,
+                originId: item.originId,
+                timeout,
+                timeoutMs,
+                onTimeout
+            });
+
+            const msg = { type: item.type, senderId: this.id, requestId: reqId, payload: item.data };
+            if (item.originId) msg.originId = item.originId;
+            if (item.targetId) msg.targetId = item.targetId;
+            this.singleton.broadcastInternal(msg);
+        }
+
+        _deliverTopic(senderId, topic, data) {
+            const set = this.topicSubscribers.get(topic);
+            if (!set) return;
+            set.forEach(cb => {
+                try {
+                    cb(data, { topic, senderId });
+                } catch (e) {
+                    this._log('error', `❌ A subscriber to topic "${topic}" threw.`, { topic, error: e });
+                }
+            });
+        }
+
+        /**
+         * A resigned member sends nothing more. Its requests, queued, pending or waiting for a
+         * retry, reject with MemberResignedError; durable messages stay in the outbox for
+         * another member to deliver.
+         */
+        _rejectOutstanding() {
+            const fail = (reqId, item) => {
+                clearTimeout(item.timeout);
+                if (!item.reject) return;
+                this._outboxRemove(reqId);
+                item.reject(new Errors.MemberResignedError(this.id, null, reqId));
+            };
+            this.outgoing.clear().forEach(entry => {
+                if (entry.type === 'request') entry.fail(new Errors.MemberResignedError(this.id, null, entry.id));
+            });
+            this.pendingRequests.forEach((p, reqId) => fail(reqId, p));
+            this.pendingRequests.clear();
+            this.retryQueue.forEach((item, reqId) => fail(reqId, item));
+            this.retryQueue.clear();
+        }
+
+        // The member left the flock: direct requests to it can no longer be answered.
+        _failRequestsTo(memberId) {
+            const fail = (item) => {
+                clearTimeout(item.timeout);
+                if (item.reject) item.reject(new Errors.MemberNotFoundError(memberId));
+            };
+            this.pendingRequests.forEach((p, reqId) => {
+                if (p.targetId !== memberId) return;
+                this.pendingRequests.delete(reqId);
+                fail(p);
+            });
+            this.retryQueue.forEach((item, reqId) => {
+                if (item.targetId !== memberId) return;
+                this.retryQueue.delete(reqId);
+                fail(item);
             });
+        }
+
+        // Starts or stops the scheduled jobs to match this member's leadership.
+        _syncJobs() {
+            const leading = this.isLeader();
+            this.jobs.forEach(job => leading ? job.start() : job.stop());
+        }
+
+        // --- Durable Outbox ---
 
-            this.singleton.broadcastInternal({ type: item.type, senderId: this.id, requestId: reqId, payload: item.data });
+        // A delivery is settled: a batch stands for the outbox entries of all its messages.
+        _forgetDelivery(reqId, item) {
+            this._outboxRemove(reqId);
+            if (item.type === 'message-batch') item.data.items.forEach(entry => this._outboxRemove(entry.requestId));
+        }
+
+        _outboxAdd(reqId, type, data) {
+            if (!this.outbox) return;
+            this.outboxItems.set(reqId, { requestId: reqId, type, data, originId: this.id });
+            this._outboxFlush();
+        }
+
+        _outboxRemove(reqId) {
+            if (!this.outbox || !this.outboxItems.delete(reqId)) return;
+            this._outboxFlush();
+        }
+
+        _outboxFlush(touchedAt = Date.now()) {
+            const items = Array.from(this.outboxItems.values());
+            this._outboxQueue(() => items.length > 0
+                ? this.outbox.setItem(this.outboxKey, { ownerId: this.id, touchedAt, items })
+                : this.outbox.removeItem(this.outboxKey));
+        }
+
+        // Storage calls are chained so async backends apply them in order.
+        _outboxQueue(task) {
+            this.outboxWrites = this.outboxWrites.then(task).catch(err => {
+                this._log('error', '❌ Outbox storage error.', { error: err });
+            });
+            return this.outboxWrites;
         }
 
-        resolvePending(reqId, data, isFinal) {
+        /**
+         * Takes over the outbox records of members that stopped refreshing them (closed or
+         * reloaded) and delivers their items with the original ids. An owner still in the
+         * roster is alive, only throttled (e.g. a background tab), and keeps its record until
+         * its presence expires. Two members adopting the same record at once is harmless: the
+         * leader deduplicates by origin and request id.
+         */
+        _adoptOrphanedOutbox() {
+            const prefix = `flock_outbox:${this.singleton.CHANNEL_NAME}:`;
+            const staleAfter = this.RETRY_CHECK_INTERVAL * 3;
+
+            return this._outboxQueue(async () => {
+                const keys = await this.outbox.keys(prefix);
+                let adopted = 0;
+
+                for (const key of keys) {
+                    if (key === this.outboxKey) continue;
+                    const record = await this.outbox.getItem(key);
+                    if (record && (Date.now() - record.touchedAt <= staleAfter || this.singleton.roster.has(record.ownerId))) continue;
+                    await this.outbox.removeItem(key);
+
+                    (record ? record.items : []).forEach(item => {
+                        if (this.outboxItems.has(item.requestId)) return;
+                        this.outboxItems.set(item.requestId, item);
+                        this._queueRetry(item.requestId, {
+                            type: item.type,
+                            data: item.data,
+                            resolve: null,
+                            reject: null,
+                            callback: null,
+                            originId: item.originId,
+                            retries: 0
+                        }, Math.random() * this.retryBaseDelay);
+                        adopted++;
+                    });
+                }
+
+                if (adopted === 0) return;
+                this._log('debug', `📬 Adopted ${adopted} outbox items.`);
+                this._outboxFlush();
+                if (this.singleton.leaderId) this._processRetryQueue();
+            });
+        }
+
+        /**
+         * A waiting acquire rejects with LockTimeoutError after `timeout` (default
+         * `lockTimeout`; Infinity waits for good). A try resolves null if the leader has not
+         * answered within `timeout` (default HEARTBEAT_TTL + 500), e.g. while there is none.
+         */
+        _acquireLock(name, permits, options, wait) {
+            const lockId = Math.random().toString(36).substr(2);
+            const lock = { lockId, name, permits, ttl: options.ttl || 0, wait, onLost: options.onLost };
+            const timeoutMs = options.timeout || (wait ? this.lockTimeout : this.singleton.HEARTBEAT_TTL + 500);
+
+            return new Promise((resolve, reject) => {
+                lock.resolve = resolve;
+                lock.reject = reject;
+
+                if (Number.isFinite(timeoutMs)) {
+                    lock.timeout = setTimeout(() => {
+                        if (!this.pendingLocks.delete(lockId)) return;
+                        this._sendLockMessage('lock-release', lock);
+                        this._stopLockRenewalIfIdle();
+                        if (wait) reject(new Errors.LockTimeoutError(name, timeoutMs));
+                        else resolve(null);
+                    }, timeoutMs);
+                }
+
+                this.pendingLocks.set(lockId, lock);
+                this._startLockRenewal();
+                this._sendLockMessage('lock-acquire', lock);
+
+                this._log('debug', `🔒 Requesting lock "${name}" (${lockId}).`);
+            });
+        }
+
+        _resolveLock(lockId, granted, name) {
+            const pending = this.pendingLocks.get(lockId);
+            if (!pending) {
+                const held = this.heldLocks.get(lockId);
+                if (held && !granted) this._dropLock(held, 'revoked');
+                // پاسخ دیرهنگام برای قفلی که دیگر منتظرش نیستیم: آن را آزاد می‌کنیم
+                else if (!held && granted) this.singleton.broadcastInternal({ type: 'lock-release', senderId: this.id, requestId: lockId, payload: { name } });
+                return;
+            }
+
+            this.pendingLocks.delete(lockId);
+            clearTimeout(pending.timeout);
+            if (!granted) {
+                pending.resolve(null);
+                return;
+            }
+
+            const lostCallbacks = pending.onLost ? [pending.onLost] : [];
+            const handle = {
+                name: pending.name,
+                held: true,
+                release: () => this._releaseLock(lockId),
+                // cb({ name, reason }) once the lock is taken away without release()
+                onLost: (cb) => { lostCallbacks.push(cb); }
+            };
+            const lock = { ...pending, handle, lostCallbacks, expiresAt: pending.ttl ? Date.now() + pending.ttl : 0 };
+            if (pending.ttl) lock.leaseTimer = setTimeout(() => this._dropLock(lock, 'expired'), pending.ttl);
+            this.heldLocks.set(lockId, lock);
+
+            this._log('debug', `🔐 Lock "${pending.name}" acquired (${lockId}).`);
+            pending.resolve(handle);
+        }
+
+        _releaseLock(lockId) {
+            const lock = this.heldLocks.get(lockId);
+            if (!lock) return;
+            this._dropLock(lock);
+            this._sendLockMessage('lock-release', lock);
+            this._log('debug', `🔓 Lock "${lock.name}" released (${lockId}).`);
+        }
+
+        // `reason` ('expired' or 'revoked') means the holder did not let go itself: its onLost callbacks run.
+        _dropLock(lock, reason) {
+            if (!this.heldLocks.delete(lock.lockId)) return;
+            clearTimeout(lock.leaseTimer);
+            lock.handle.held = false;
+            this._stopLockRenewalIfIdle();
+            if (!reason) return;
+
+            this._log('warn', `🔓 Lock "${lock.name}" lost (${reason}).`);
+            lock.lostCallbacks.forEach(cb => {
+                try {
+                    cb({ name: lock.name, reason });
+                } catch (e) {
+                    this._log('error', `❌ An onLost callback for lock "${lock.name}" threw.`, { lock: lock.name, error: e });
+                }
+            });
+        }
+
+        _releaseAllLocks() {
+            this.heldLocks.forEach(lock => this._releaseLock(lock.lockId));
+            this.pendingLocks.forEach(lock => {
+                clearTimeout(lock.timeout);
+                this._sendLockMessage('lock-release', lock);
+                lock.reject(new Errors.MemberResignedError(this.id, lock.name));
+            });
+            this.pendingLocks.clear();
+            this._stopLockRenewalIfIdle();
+        }
+
+        _sendLockMessage(type, lock) {
+            this.singleton.broadcastInternal({
+                type,
+                senderId: this.id,
+                requestId: lock.lockId,
+                payload: { name: lock.name, permits: lock.permits, ttl: lock.ttl, wait: lock.wait }
+            });
+        }
+
+        // Keeps held and awaited locks alive on the leader; also how a new leader rebuilds its table.
+        _renewLocks() {
+            if (this.heldLocks.size === 0 && this.pendingLocks.size === 0) return;
+            const now = Date.now();
+            const describe = (lock) => ({
+                lockId: lock.lockId,
+                name: lock.name,
+                permits: lock.permits,
+                ttl: lock.expiresAt ? Math.max(lock.expiresAt - now, 1) : lock.ttl,
+                wait: lock.wait
+            });
+
+            this.singleton.broadcastInternal({
+                type: 'lock-renew',
+                senderId: this.id,
+                payload: {
+                    held: Array.from(this.heldLocks.values()).map(describe),
+                    waiting: Array.from(this.pendingLocks.values()).map(describe)
+                }
+            });
+        }
+
+        _startLockRenewal() {
+            if (this.lockRenewTimer) return;
+            this.lockRenewTimer = setInterval(() => this._renewLocks(), this.singleton.HEARTBEAT_INTERVAL);
+        }
+
+        _stopLockRenewalIfIdle() {
+            if (this.heldLocks.size > 0 || this.pendingLocks.size > 0) return;
+            clearInterval(this.lockRenewTimer);
+            this.lockRenewTimer = null;
+        }
+
+        resolvePending(reqId, data, isFinal, error) {
             if (this.pendingRequests.has(reqId)) {
-                if (this.debug) console.log(`[${this.id}] ✅ Received response/ack for ${reqId}.`);
+                this._log('debug', `✅ Received response/ack for ${reqId}.`);
                 const p = this.pendingRequests.get(reqId);
                 clearTimeout(p.timeout);
-                if (p.isMessage) { this.pendingRequests.delete(reqId); }
-                else if (isFinal && p.resolve) { p.resolve(data); this.pendingRequests.delete(reqId); }
+                if (p.isMessage) { this.pendingRequests.delete(reqId); this._forgetDelivery(reqId, p); }
+                else if (!isFinal) {
+                    // قطعه‌ی میانی: مهلت درخواست تمدید می‌شود تا به صف تلاش مجدد نرود
+                    p.timeout = setTimeout(p.onTimeout, p.timeoutMs);
+                    if (p.onProgress) {
+                        try {
+                            p.onProgress(data);
+                        } catch (e) {
+                            this._log('error', `❌ An onProgress callback for request ${reqId} threw.`, { requestId: reqId, error: e });
+                        }
+                    }
+                }
+                else {
+                    // درخواست‌های تحویل‌گرفته از صندوق خروجی، promise ندارند
+                    if (error && p.reject) p.reject(Errors.deserializeError(error));
+                    else if (!error && p.resolve) p.resolve(data);
+                    this.pendingRequests.delete(reqId);
+                    this._outboxRemove(reqId);
+                }
             }
         }
     }
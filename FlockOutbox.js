@@ -0,0 +1,160 @@
+/**
+ * FlockOutbox.js
+ * Storage backends for the durable outbox (the `outbox` option of FlockMember).
+ *
+ * A backend is any object with these methods; each may return a value or a Promise:
+ *   getItem(key)         The stored value (a plain object), or null.
+ *   setItem(key, value)  Store a JSON-serializable value.
+ *   removeItem(key)
+ *   keys(prefix)         Every stored key that starts with `prefix`.
+ */
+
+(function() {
+    function memory() {
+        const map = new Map();
+        return {
+            getItem: (key) => map.has(key) ? JSON.parse(map.get(key)) : null,
+            setItem: (key, value) => { map.set(key, JSON.stringify(value)); },
+            removeItem: (key) => { map.delete(key); },
+            keys: (prefix) => Array.from(map.keys()).filter(k => k.startsWith(prefix))
+        };
+    }
+
+    function localStorageBackend(storage) {
+        const store = () => storage || window.localStorage;
+        return {
+            getItem: (key) => {
+                const raw = store().getItem(key);
+                try { return raw ? JSON.parse(raw) : null; } catch (e) { return null; }
+            },
+            setItem: (key, value) => store().setItem(key, JSON.stringify(value)),
+            removeItem: (key) => store().removeItem(key),
+            keys: (prefix) => {
+                const s = store();
+                const keys = [];
+                for (let i = 0; i < s.length; i++) {
+                    const key = s.key(i);
+                    if (key && key.startsWith(prefix)) keys.push(key);
+                }
+                return keys;
+            }
+        };
+    }
+
+    function indexedDBBackend(options = {}) {
+        const dbName = options.dbName || 'flock-outbox';
+        const storeName = 'outbox';
+        let dbPromise = null;
+
+        const open = () => {
+            if (!dbPromise) {
+                dbPromise = new Promise((resolve, reject) => {
+                    const req = indexedDB.open(dbName, 1);
+                    req.onupgradeneeded = () => req.result.createObjectStore(storeName);
+                    req.onsuccess = () => resolve(req.result);
+                    req.onerror = () => reject(req.error);
+                });
+            }
+            return dbPromise;
+        };
+        const run = (mode, action) => open().then(db => new Promise((resolve, reject) => {
+            const req = action(db.transaction(storeName, mode).objectStore(storeName));
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        }));
+
+        return {
+            getItem: (key) => run('readonly', s => s.get(key)).then(v => v === undefined ? null : v),
+            setItem: (key, value) => run('readwrite', s => s.put(value, key)),
+            removeItem: (key) => run('readwrite', s => s.delete(key)),
+            keys: (prefix) => run('readonly', s => s.getAllKeys())
+                .then(keys => keys.filter(k => typeof k === 'string' && k.startsWith(prefix)))
+        };
+    }
+
+    // هر فایل یک صف دارد تا خواندن و نوشتن‌های ناهمگام اعضای یک پروسه روی هم نیفتند
+    const fileQueues = new Map();
+
+    // قفلی که صاحبش در حین نوشتن مرده است پس از این مدت شکسته می‌شود
+    const FILE_LOCK_STALE_MS = 10000;
+
+    /**
+     * One JSON file for every key. Every read-modify-write holds `<path>.lock`, created
+     * with O_EXCL, so processes sharing the file take turns; a lock older than
+     * FILE_LOCK_STALE_MS was left behind by a process that died and is broken. The file
+     * is replaced through a temporary file and a rename, so readers never see half of it.
+     */
+    function file(path) {
+        const fs = require('fs').promises;
+        const resolved = require('path').resolve(path);
+        const lockPath = `${resolved}.lock`;
+        const serial = (task) => {
+            const result = (fileQueues.get(resolved) || Promise.resolve()).then(task);
+            const tail = result.catch(() => {});
+            fileQueues.set(resolved, tail);
+            // صف خالی از Map حذف می‌شود
+            tail.then(() => { if (fileQueues.get(resolved) === tail) fileQueues.delete(resolved); });
+            return result;
+        };
+        const lock = async () => {
+            for (;;) {
+                try {
+                    await (await fs.open(lockPath, 'wx')).close();
+                    return;
+                } catch (err) {
+                    if (err.code !== 'EEXIST') throw err;
+                }
+                const stat = await fs.stat(lockPath).catch(() => null);
+                if (stat && Date.now() - stat.mtimeMs > FILE_LOCK_STALE_MS) await fs.unlink(lockPath).catch(() => {});
+                else await new Promise(resolve => setTimeout(resolve, 5 + Math.random() * 10));
+            }
+        };
+        const locked = (task) => serial(async () => {
+            await lock();
+            try {
+                return await task();
+            } finally {
+                await fs.unlink(lockPath).catch(() => {});
+            }
+        });
+        const read = () => fs.readFile(resolved, 'utf8').then(JSON.parse).catch(() => ({}));
+        const write = async (all) => {
+            const tmp = `${resolved}.${process.pid}.tmp`;
+            await fs.writeFile(tmp, JSON.stringify(all));
+            await fs.rename(tmp, resolved);
+        };
+        const has = (all, key) => Object.prototype.hasOwnProperty.call(all, key);
+
+        return {
+            getItem: (key) => serial(async () => {
+                const all = await read();
+                return has(all, key) ? all[key] : null;
+            }),
+            setItem: (key, value) => locked(async () => {
+                const all = await read();
+                all[key] = value;
+                await write(all);
+            }),
+            removeItem: (key) => locked(async () => {
+                const all = await read();
+                if (!has(all, key)) return;
+                delete all[key];
+                await write(all);
+            }),
+            keys: (prefix) => serial(async () => Object.keys(await read()).filter(k => k.startsWith(prefix)))
+        };
+    }
+
+    const FlockOutbox = {
+        memory,
+        localStorage: localStorageBackend,
+        indexedDB: indexedDBBackend,
+        file
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = FlockOutbox;
+    } else if (typeof window !== 'undefined') {
+        window.FlockOutbox = FlockOutbox;
+    }
+})();
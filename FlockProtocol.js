@@ -0,0 +1,168 @@
+/**
+ * FlockProtocol.js
+ * Wire-protocol helpers for FlockSingleton: the protocol version and feature list every
+ * instance advertises, HMAC signing of messages, and the built-in message schema checks.
+ *
+ * Protocol fields travel on the message itself (`_v`, `_sig`) rather than in a wrapper,
+ * so instances running an older version still read the messages of newer ones.
+ */
+
+(function() {
+    // نسخه‌ی ۱: پیام‌های بدون _v (نسخه‌های قدیمی کتابخانه)
+    const PROTOCOL_VERSION = 2;
+
+    const FEATURES = ['terms', 'locks', 'state', 'dedupe', 'presence', 'handoff', 'roles', 'pubsub', 'batch'];
+
+    // The oldest protocol this version still elects with. Every instance advertises its own
+    // in presence, so a newer release can refuse older ones without any configuration.
+    const MIN_COMPATIBLE_VERSION = 1;
+
+    // Without these, two instances cannot take part in the same election.
+    const REQUIRED_FEATURES = ['terms', 'presence'];
+
+    /**
+     * Whether an instance that advertised `{ version, minVersion, features }` can share a
+     * flock with this one. Returns null when it can, or the reason it cannot.
+     */
+    function incompatibility(peer) {
+        if (peer.version < MIN_COMPATIBLE_VERSION) return `protocol version ${peer.version} is below ${MIN_COMPATIBLE_VERSION}`;
+        if ((peer.minVersion || 1) > PROTOCOL_VERSION) return `the sender needs protocol version ${peer.minVersion} or later`;
+        const missing = REQUIRED_FEATURES.filter(feature => !peer.features.includes(feature));
+        return missing.length ? `the sender does not support ${missing.join(', ')}` : null;
+    }
+
+    // --- Signing ---
+
+    function toHex(bytes) {
+        return Array.from(new Uint8Array(bytes), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    // Compares in time independent of where the strings first differ.
+    function safeEqual(a, b) {
+        if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+        let diff = 0;
+        for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+        return diff === 0;
+    }
+
+    function nodeCrypto() {
+        if (typeof require !== 'function' || typeof process === 'undefined' || !process.versions || !process.versions.node) return null;
+        try { return require('crypto'); } catch (e) { return null; }
+    }
+
+    /**
+     * HMAC-SHA256 with a shared secret: Node's crypto module where available, otherwise
+     * WebCrypto. Both methods return Promises because WebCrypto is asynchronous.
+     */
+    function createSigner(secret) {
+        const node = nodeCrypto();
+        if (node && node.createHmac) {
+            return {
+                sign: (body) => Promise.resolve(node.createHmac('sha256', secret).update(body).digest('hex')),
+                verify: (body, sig) => Promise.resolve(safeEqual(node.createHmac('sha256', secret).update(body).digest('hex'), sig))
+            };
+        }
+
+        const subtle = typeof crypto !== 'undefined' && crypto.subtle;
+        if (!subtle) throw new Error("FlockProtocol Error: message signing needs WebCrypto (crypto.subtle) or Node's crypto module.");
+
+        const encoder = new TextEncoder();
+        const raw = typeof secret === 'string' ? encoder.encode(secret) : secret;
+        const keyPromise = subtle.importKey('raw', raw, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+        const sign = (body) => keyPromise.then(key => subtle.sign('HMAC', key, encoder.encode(body))).then(toHex);
+        return {
+            sign,
+            verify: (body, sig) => sign(body).then(expected => safeEqual(expected, sig))
+        };
+    }
+
+    // The exact text that is signed: the message without its signature.
+    function signingBody(message) {
+        const { _sig, ...rest } = message;
+        return JSON.stringify(rest);
+    }
+
+    // --- Schema ---
+
+    const isString = (v) => typeof v === 'string' && v.length > 0;
+    const isObject = (v) => v !== null && typeof v === 'object';
+    const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+
+    const needSender = (m) => isString(m.senderId) ? null : 'senderId is required';
+    const needRequest = (m) => needSender(m) || (isString(m.requestId) ? null : 'requestId is required');
+    const needPayload = (m) => isObject(m.payload) ? null : 'payload must be an object';
+    // پیام‌های بدون _v از نسخه‌هایی هستند که هنوز term و priority نداشتند
+    const needNumber = (field) => (m) => isNumber(m[field]) || (m[field] === undefined && !m._v) ? null : `${field} must be a finite number`;
+    const needElection = (m) => needSender(m) || needNumber('term')(m) || needNumber('priority')(m);
+    const isRank = (rank) => isObject(rank) && isNumber(rank.priority);
+    const isRoleHolder = (entry) => isObject(entry) && isString(entry.role) && isString(entry.holderId) && isNumber(entry.term) && isRank(entry.rank);
+    const needVersion = (m) => needPayload(m) || (typeof m.payload.version === 'number' ? null : 'payload.version must be a number');
+    // payload[field] باید آرایه‌ای باشد که همه‌ی اعضایش از check رد شوند
+    const needList = (field, check, what) => (m) => needPayload(m) ||
+        (Array.isArray(m.payload[field]) ? (m.payload[field].every(check) ? null : `payload.${field} must only hold ${what}`) : `payload.${field} must be an array`);
+    const needEntries = needList('entries', Array.isArray, '[key, value] pairs');
+    // پاسخ قفل را خود لیدر می‌فرستد و senderId ندارد
+    const needGrant = (m) => (isString(m.targetId) && isString(m.requestId) ? null : 'targetId and requestId are required') || needPayload(m) ||
+        (isString(m.payload.name) ? null : 'payload.name is required');
+
+    // type -> check(message) returning an error text, or null when the message is well-formed
+    const SCHEMAS = {
+        'claim': needElection,
+        'heartbeat': needElection,
+        'resign': (m) => needSender(m) || needNumber('term')(m),
+        'request': needRequest,
+        'member-request': (m) => needRequest(m) || (isString(m.targetId) ? null : 'targetId is required'),
+        'message-to-leader': needRequest,
+        'message-batch': (m) => needRequest(m) || needList('items', isObject, 'objects')(m),
+        'response': (m) => isString(m.targetId) && isString(m.requestId) ? null : 'targetId and requestId are required',
+        'request-cancel': needRequest,
+        'state-set': (m) => needRequest(m) || needPayload(m),
+        'state-diff': needVersion,
+        'state-snapshot': (m) => needVersion(m) || needEntries(m),
+        'state-offer': (m) => needVersion(m) || needEntries(m),
+        'lock-acquire': (m) => needRequest(m) || needPayload(m),
+        'lock-release': (m) => needRequest(m) || needPayload(m),
+        'lock-renew': (m) => needSender(m) || needPayload(m),
+        'lock-grant': needGrant,
+        'lock-lost': needGrant,
+        'presence': needList('members', (member) => isObject(member) && isString(member.id), 'objects with an id'),
+        'member-leave': needSender,
+        'role-claim': (m) => needSender(m) || needPayload(m) || (isString(m.payload.role) ? null : 'payload.role is required') ||
+            (isNumber(m.payload.term) ? null : 'payload.term must be a finite number') ||
+            (isRank(m.payload.rank) ? null : 'payload.rank.priority must be a finite number'),
+        'role-resign': (m) => needSender(m) || needPayload(m) || (isString(m.payload.role) ? null : 'payload.role is required') ||
+            (isNumber(m.payload.term) ? null : 'payload.term must be a finite number'),
+        'role-heartbeat': needList('roles', isRoleHolder, 'role holders with a numeric term and rank'),
+        'publish': (m) => needSender(m) || needPayload(m) || (isString(m.payload.topic) ? null : 'payload.topic is required'),
+        'handoff-offer': (m) => needSender(m) || needNumber('term')(m) || needPayload(m),
+        'handoff-accept': needElection,
+        'request-cache': needList('entries', (entry) => Array.isArray(entry) && isObject(entry[1]), '[key, entry] pairs')
+    };
+
+    /** Built-in structural check. Returns an error text, or null when the message is well-formed. */
+    function validateMessage(message) {
+        if (!isObject(message) || !isString(message.type)) return 'type is required';
+        for (const field of ['senderId', 'targetId', 'requestId']) {
+            if (message[field] !== undefined && message[field] !== null && typeof message[field] !== 'string') return `${field} must be a string`;
+        }
+        const check = SCHEMAS[message.type];
+        return check ? check(message) : null;
+    }
+
+    const FlockProtocol = {
+        PROTOCOL_VERSION,
+        MIN_COMPATIBLE_VERSION,
+        FEATURES,
+        REQUIRED_FEATURES,
+        incompatibility,
+        createSigner,
+        signingBody,
+        validateMessage
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = FlockProtocol;
+    } else if (typeof window !== 'undefined') {
+        window.FlockProtocol = FlockProtocol;
+    }
+})();
@@ -0,0 +1,369 @@
+/**
+ * FlockRelay.js
+ * A small relay server (Node only) for flocks that span machines. Instances connect to it
+ * with the `relay()` transport, over WebSocket (browsers) or plain TCP (Node), and the
+ * relay forwards every message to the other connections on the same channel.
+ *
+ *   const relay = FlockMember.relay.createServer();
+ *   await relay.listen(7400);
+ *
+ * The relay does not read or check the messages it forwards; use the `secret` option of
+ * FlockMember so instances can tell real members from anything else that connects.
+ *
+ * Wire format: one JSON frame per WebSocket text message, or per line over TCP.
+ *   { __flock: channel, join: true }      Subscribe this connection to `channel`.
+ *   { __flock: channel, message }         Forward `message` to the channel's other connections.
+ *   { ping: time }                        Answered with { pong: time }.
+ *   { __flock: channel, leave: [ids] }    Sent by the relay when a connection drops: the members
+ *                                         it announced in presence messages, and that no other
+ *                                         live connection announces, are gone.
+ *
+ * With the flock's `secret`, the relay only believes presence messages that are signed with it.
+ * Instances treat `leave` as a hint and check for themselves that those members went quiet.
+ *
+ * Frames (and WebSocket messages, across all their fragments) larger than `maxPayload`
+ * bytes close the connection.
+ */
+
+(function() {
+    const Protocol = require('./FlockProtocol.js');
+
+    // همان کلید پاکت در FlockTransports.js
+    const ENVELOPE_KEY = '__flock';
+    const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+    // --- Connections ---
+
+    // Newline-delimited JSON over a raw TCP socket (Node clients).
+    class LineConnection {
+        constructor(socket, onText, onClose, maxPayload) {
+            this.socket = socket;
+            this.rest = '';
+            // یک کاراکتر چندبایتی ممکن است بین دو chunk تقسیم شود
+            this.decoder = new (require('string_decoder').StringDecoder)('utf8');
+            socket.on('data', (chunk) => {
+                if (socket.destroyed) return;
+                const lines = (this.rest + this.decoder.write(chunk)).split('\n');
+                this.rest = lines.pop();
+                // خطی که هرگز تمام نمی‌شود نباید حافظه‌ی رله را پر کند
+                if (Buffer.byteLength(this.rest) > maxPayload || lines.some(line => Buffer.byteLength(line) > maxPayload)) {
+                    this.close();
+                    return;
+                }
+                lines.forEach(line => { if (line) onText(line); });
+            });
+            socket.on('close', onClose);
+            socket.on('error', () => { /* 'close' follows */ });
+        }
+
+        send(text) { if (!this.socket.destroyed) this.socket.write(text + '\n'); }
+        close() { this.socket.destroy(); }
+    }
+
+    /**
+     * Server side of RFC 6455: text frames (fragmented or not), ping/pong and close.
+     * Client frames are masked; server frames are not.
+     */
+    class WebSocketConnection {
+        constructor(socket, onText, onClose, maxPayload) {
+            this.socket = socket;
+            this.onText = onText;
+            this.maxPayload = maxPayload;
+            this.buffer = Buffer.alloc(0);
+            this.fragments = [];
+            this.fragmentsSize = 0;
+            this.closed = false;
+            socket.on('data', (chunk) => this.receive(chunk));
+            socket.on('close', onClose);
+            socket.on('error', () => { /* 'close' follows */ });
+        }
+
+        receive(chunk) {
+            if (this.closed) return;
+            this.buffer = Buffer.concat([this.buffer, chunk]);
+            let frame;
+            while (!this.closed && (frame = this.readFrame())) {
+                if (frame === 'invalid') {
+                    this.close(1009);
+                    return;
+                }
+                this.handleFrame(frame);
+            }
+        }
+
+        readFrame() {
+            const buf = this.buffer;
+            if (buf.length < 2) return null;
+            const fin = (buf[0] & 0x80) !== 0;
+            const opcode = buf[0] & 0x0f;
+            const masked = (buf[1] & 0x80) !== 0;
+            let length = buf[1] & 0x7f;
+            let offset = 2;
+
+            if (length === 126) {
+                if (buf.length < 4) return null;
+                length = buf.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (buf.length < 10) return null;
+                length = Number(buf.readBigUInt64BE(2));
+                offset = 10;
+            }
+            if (length > this.maxPayload) return 'invalid';
+
+            const maskOffset = offset;
+            if (masked) offset += 4;
+            if (buf.length < offset + length) return null;
+
+            const payload = Buffer.from(buf.subarray(offset, offset + length));
+            if (masked) {
+                for (let i = 0; i < payload.length; i++) payload[i] ^= buf[maskOffset + (i % 4)];
+            }
+            this.buffer = buf.subarray(offset + length);
+            return { fin, opcode, payload };
+        }
+
+        handleFrame({ fin, opcode, payload }) {
+            switch (opcode) {
+                case 0x0: // ادامه‌ی یک پیام تکه‌تکه
+                case 0x1:
+                    // سقف اندازه برای کل پیام است، نه فقط هر تکه
+                    this.fragmentsSize += payload.length;
+                    if (this.fragmentsSize > this.maxPayload) {
+                        this.close(1009);
+                        return;
+                    }
+                    this.fragments.push(payload);
+                    if (!fin) return;
+                    this.onText(Buffer.concat(this.fragments).toString('utf8'));
+                    this.fragments = [];
+                    this.fragmentsSize = 0;
+                    break;
+                case 0x8: this.close(1000); break;
+                case 0x9: this.writeFrame(0xa, payload); break;
+            }
+        }
+
+        writeFrame(opcode, payload) {
+            if (this.socket.destroyed) return;
+            const length = payload.length;
+            let header;
+            if (length < 126) {
+                header = Buffer.from([0, length]);
+            } else if (length < 65536) {
+                header = Buffer.alloc(4);
+                header.writeUInt16BE(length, 2);
+                header[1] = 126;
+            } else {
+                header = Buffer.alloc(10);
+                header.writeBigUInt64BE(BigInt(length), 2);
+                header[1] = 127;
+            }
+            header[0] = 0x80 | opcode;
+            this.socket.write(Buffer.concat([header, payload]));
+        }
+
+        send(text) { this.writeFrame(0x1, Buffer.from(text, 'utf8')); }
+
+        close(code = 1000) {
+            if (this.closed) return;
+            this.closed = true;
+            this.fragments = [];
+            const payload = Buffer.alloc(2);
+            payload.writeUInt16BE(code, 0);
+            this.writeFrame(0x8, payload);
+            this.socket.end();
+        }
+    }
+
+    // --- Server ---
+
+    class RelayServer {
+        constructor(options = {}) {
+            this.options = options;
+            this.maxPayload = options.maxPayload || 1024 * 1024;
+            // connection -> Map(channel -> Set(memberId)): the members it announced on each channel
+            this.connections = new Map();
+            // channel -> Map(memberId -> Set(connection)): who announces each member right now
+            this.announcers = new Map();
+            this.signer = options.secret ? Protocol.createSigner(options.secret) : null;
+            this.server = require('net').createServer(socket => this.accept(socket));
+        }
+
+        /** Resolves with the bound `{ address, port }`; port 0 picks a free port. */
+        listen(port = this.options.port || 0, host = this.options.host) {
+            return new Promise((resolve, reject) => {
+                this.server.once('error', reject);
+                this.server.listen(port, host, () => {
+                    this.server.removeListener('error', reject);
+                    resolve(this.server.address());
+                });
+            });
+        }
+
+        close() {
+            this.connections.forEach((channels, connection) => connection.close());
+            this.connections.clear();
+            return new Promise(resolve => this.server.close(() => resolve()));
+        }
+
+        // The first bytes tell the protocol apart: a WebSocket client starts with an HTTP GET.
+        accept(socket) {
+            socket.setNoDelay(true);
+            socket.setKeepAlive(true, 1000);
+            let head = Buffer.alloc(0);
+
+            const onData = (chunk) => {
+                head = Buffer.concat([head, chunk]);
+                if (head.length < 4) return;
+
+                if (head.subarray(0, 4).toString('latin1') !== 'GET ') {
+                    socket.removeListener('data', onData);
+                    this.attach(socket, (onText, onClose) => new LineConnection(socket, onText, onClose, this.maxPayload));
+                    socket.emit('data', head);
+                    return;
+                }
+
+                const end = head.indexOf('\r\n\r\n');
+                if (end === -1) {
+                    if (head.length > 16384) socket.destroy();
+                    return;
+                }
+                socket.removeListener('data', onData);
+                this.upgrade(socket, head.subarray(0, end).toString('latin1'), head.subarray(end + 4));
+            };
+            socket.on('data', onData);
+            socket.on('error', () => socket.destroy());
+        }
+
+        upgrade(socket, request, rest) {
+            const match = /^sec-websocket-key:\s*(.+)$/im.exec(request);
+            if (!match || !/^upgrade:\s*websocket/im.test(request)) {
+                socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+                return;
+            }
+
+            const accept = require('crypto').createHash('sha1').update(match[1].trim() + WS_GUID).digest('base64');
+            socket.write([
+                'HTTP/1.1 101 Switching Protocols',
+                'Upgrade: websocket',
+                'Connection: Upgrade',
+                `Sec-WebSocket-Accept: ${accept}`,
+                '', ''
+            ].join('\r\n'));
+
+            this.attach(socket, (onText, onClose) => new WebSocketConnection(socket, onText, onClose, this.maxPayload));
+            if (rest.length > 0) socket.emit('data', rest);
+        }
+
+        attach(socket, create) {
+            const channels = new Map();
+            const connection = create(
+                (text) => this.route(connection, channels, text),
+                () => this.detach(connection)
+            );
+            this.connections.set(connection, channels);
+            return connection;
+        }
+
+        /**
+         * The members behind a dropped connection did not say goodbye; the relay says it for
+         * them. A member that another live connection announces too (it reconnected on a new
+         * socket before the old one timed out) is not gone.
+         */
+        detach(connection) {
+            const channels = this.connections.get(connection);
+            if (!channels) return;
+            this.connections.delete(connection);
+            channels.forEach((members, channel) => {
+                const gone = Array.from(members).filter(id => this.unannounce(channel, id, connection));
+                if (gone.length > 0) this.forward(connection, channel, JSON.stringify({ [ENVELOPE_KEY]: channel, leave: gone }));
+            });
+        }
+
+        announce(channel, id, connection) {
+            if (!this.announcers.has(channel)) this.announcers.set(channel, new Map());
+            const byId = this.announcers.get(channel);
+            if (!byId.has(id)) byId.set(id, new Set());
+            byId.get(id).add(connection);
+        }
+
+        // Whether `id` is left without any connection that announces it.
+        unannounce(channel, id, connection) {
+            const byId = this.announcers.get(channel);
+            const holders = byId && byId.get(id);
+            if (!holders) return true;
+            holders.delete(connection);
+            if (holders.size > 0) return false;
+            byId.delete(id);
+            if (byId.size === 0) this.announcers.delete(channel);
+            return true;
+        }
+
+        forward(from, channel, text) {
+            this.connections.forEach((subscribed, connection) => {
+                if (connection !== from && subscribed.has(channel)) connection.send(text);
+            });
+        }
+
+        route(from, channels, text) {
+            let frame;
+            try { frame = JSON.parse(text); } catch (e) { return; }
+            if (!frame || typeof frame !== 'object') return;
+
+            if (frame.ping !== undefined) {
+                from.send(JSON.stringify({ pong: frame.ping }));
+                return;
+            }
+
+            const channel = frame[ENVELOPE_KEY];
+            if (typeof channel !== 'string') return;
+            if (frame.join) {
+                if (!channels.has(channel)) channels.set(channel, new Set());
+                return;
+            }
+            if (frame.message === undefined) return;
+
+            this.track(from, channel, frame.message);
+            this.forward(from, channel, text);
+        }
+
+        // Presence lists exactly the members of the sending instance; other messages may carry someone else's id.
+        track(from, channel, message) {
+            const members = this.connections.has(from) && this.connections.get(from).get(channel);
+            if (!members || !message || typeof message !== 'object') return;
+            if (message.type === 'presence' && message.payload && Array.isArray(message.payload.members)) {
+                this.verify(message).then(valid => {
+                    // بسته شدن اتصال ممکن است زودتر از بررسی امضا برسد
+                    if (!valid || !this.connections.has(from)) return;
+                    message.payload.members.forEach(member => {
+                        if (!member || typeof member.id !== 'string') return;
+                        members.add(member.id);
+                        this.announce(channel, member.id, from);
+                    });
+                });
+            } else if (message.type === 'member-leave' && members.delete(message.senderId)) {
+                this.unannounce(channel, message.senderId, from);
+            }
+        }
+
+        // Without a secret every presence counts; with one, only those signed with it.
+        verify(message) {
+            if (!this.signer) return Promise.resolve(true);
+            if (typeof message._sig !== 'string') return Promise.resolve(false);
+            return this.signer.verify(Protocol.signingBody(message), message._sig).catch(() => false);
+        }
+    }
+
+    function createServer(options = {}) {
+        return new RelayServer(options);
+    }
+
+    const FlockRelay = {
+        createServer
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = FlockRelay;
+    }
+})();
@@ -0,0 +1,224 @@
+/**
+ * FlockScheduler.js
+ * Leader-only scheduled jobs (`FlockMember.schedule`) and the small cron parser behind them.
+ *
+ * A job only runs while its member is the leader. The time of the last run is kept in
+ * the shared state, so the next leader continues the schedule instead of starting over.
+ */
+
+(function() {
+    // کلیدهای رزرو شده در state مشترک؛ در state.keys() نمایش داده نمی‌شوند
+    const JOB_STATE_PREFIX = '__flock:job:';
+    // بیشترین تأخیر قابل قبول برای setTimeout
+    const MAX_DELAY = 2147483647;
+
+    // --- Cron ---
+
+    const CRON_FIELDS = [
+        { name: 'minute', min: 0, max: 59 },
+        { name: 'hour', min: 0, max: 23 },
+        { name: 'day', min: 1, max: 31 },
+        { name: 'month', min: 1, max: 12 },
+        { name: 'weekday', min: 0, max: 7 } // 0 and 7 are both Sunday
+    ];
+
+    const CRON_ALIASES = {
+        '@hourly': '0 * * * *',
+        '@daily': '0 0 * * *',
+        '@weekly': '0 0 * * 0',
+        '@monthly': '0 0 1 * *',
+        '@yearly': '0 0 1 1 *'
+    };
+
+    function parseField(text, field, expr) {
+        const values = new Set();
+        text.split(',').forEach(part => {
+            const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+            if (!match) throw new Error(`Invalid cron expression "${expr}": bad ${field.name} "${part}"`);
+
+            const step = match[4] !== undefined ? Number(match[4]) : 1;
+            let lo = field.min;
+            let hi = field.max;
+            if (match[1] !== '*') {
+                lo = Number(match[2]);
+                // "5/15" یعنی از ۵ تا انتها با گام ۱۵
+                hi = match[3] !== undefined ? Number(match[3]) : (match[4] !== undefined ? field.max : lo);
+            }
+            if (step < 1 || lo < field.min || hi > field.max || lo > hi) {
+                throw new Error(`Invalid cron expression "${expr}": ${field.name} "${part}" is out of range`);
+            }
+            for (let v = lo; v <= hi; v += step) values.add(field.name === 'weekday' ? v % 7 : v);
+        });
+        return values;
+    }
+
+    /**
+     * Parses a standard 5-field cron expression (minute hour day month weekday) with
+     * `*`, lists, ranges and steps, or one of the @hourly/@daily/@weekly/@monthly/@yearly
+     * aliases. Times are evaluated in local time.
+     */
+    function parseCron(expr) {
+        const source = CRON_ALIASES[String(expr).trim()] || String(expr).trim();
+        const parts = source.split(/\s+/);
+        if (parts.length !== 5) throw new Error(`Invalid cron expression "${expr}": expected 5 fields`);
+
+        const [minute, hour, day, month, weekday] = parts.map((part, i) => parseField(part, CRON_FIELDS[i], expr));
+        return {
+            minute, hour, day, month, weekday,
+            anyDay: parts[2] === '*',
+            anyWeekday: parts[4] === '*'
+        };
+    }
+
+    // As in cron: when both day fields are restricted, matching either one is enough.
+    function dayMatches(cron, date) {
+        const day = cron.day.has(date.getDate());
+        const weekday = cron.weekday.has(date.getDay());
+        if (cron.anyDay && cron.anyWeekday) return true;
+        if (cron.anyDay) return weekday;
+        if (cron.anyWeekday) return day;
+        return day || weekday;
+    }
+
+    // The first matching minute strictly after `after` (ms), or null if none within five years.
+    function nextCronTime(cron, after) {
+        const date = new Date(after);
+        date.setSeconds(0, 0);
+        date.setMinutes(date.getMinutes() + 1);
+        const limit = after + 5 * 366 * 24 * 60 * 60 * 1000;
+
+        while (date.getTime() <= limit) {
+            if (!cron.month.has(date.getMonth() + 1)) {
+                date.setMonth(date.getMonth() + 1, 1);
+                date.setHours(0, 0, 0, 0);
+            } else if (!dayMatches(cron, date)) {
+                date.setDate(date.getDate() + 1);
+                date.setHours(0, 0, 0, 0);
+            } else if (!cron.hour.has(date.getHours())) {
+                date.setHours(date.getHours() + 1, 0, 0, 0);
+            } else if (!cron.minute.has(date.getMinutes())) {
+                date.setMinutes(date.getMinutes() + 1, 0, 0);
+            } else {
+                return date.getTime();
+            }
+        }
+        return null;
+    }
+
+    // --- Jobs ---
+
+    /**
+     * One scheduled job of a member. `start()` and `stop()` follow the member's leadership;
+     * stopping aborts the run in progress through its AbortSignal. Runs never overlap: the
+     * next one is planned when the current one settles.
+     */
+    class ScheduledJob {
+        constructor(member, name, spec = {}, fn) {
+            if (typeof fn !== 'function') throw new TypeError(`schedule("${name}"): a job function is required`);
+            if (!spec.cron && !(spec.every > 0)) throw new TypeError(`schedule("${name}"): pass { every: ms } or { cron: '...' }`);
+
+            this.member = member;
+            this.name = name;
+            this.fn = fn;
+            this.every = spec.every;
+            this.cron = spec.cron ? parseCron(spec.cron) : null;
+            this.stateKey = JOB_STATE_PREFIX + name;
+
+            this.active = false;
+            this.timer = null;
+            this.controller = null;
+            this.running = false;
+            // آخرین اجرای خودمان؛ تا رسیدن آن به state مشترک جلوی اجرای دوباره را می‌گیرد
+            this.localLastRun = null;
+            this.armedLastRun = null;
+        }
+
+        lastRun() {
+            const record = this.member.state.get(this.stateKey);
+            const shared = record ? record.lastRun : null;
+            if (this.localLastRun === null) return shared;
+            return shared === null ? this.localLastRun : Math.max(shared, this.localLastRun);
+        }
+
+        // A job that is overdue (or has never run) is due right away, once.
+        nextRunAt(lastRun, now) {
+            if (this.cron) return nextCronTime(this.cron, lastRun === null ? now : lastRun);
+            return lastRun === null ? now : lastRun + this.every;
+        }
+
+        start() {
+            if (this.active) return;
+            this.active = true;
+            this.arm();
+        }
+
+        stop() {
+            this.active = false;
+            clearTimeout(this.timer);
+            this.timer = null;
+            if (this.controller) this.controller.abort();
+        }
+
+        arm() {
+            clearTimeout(this.timer);
+            this.timer = null;
+            if (!this.active || this.running) return;
+
+            const now = Date.now();
+            const lastRun = this.lastRun();
+            const due = this.nextRunAt(lastRun, now);
+            if (due === null) return;
+
+            this.armedLastRun = lastRun;
+            this.timer = setTimeout(() => {
+                this.timer = null;
+                // زمان‌بندی تغییر کرده (مثلاً اجرای لیدر قبلی تازه رسیده) یا تأخیر بیش از حد مجاز بوده است
+                if (this.lastRun() !== this.armedLastRun || Date.now() < due) this.arm();
+                else this.run();
+            }, Math.min(Math.max(0, due - now), MAX_DELAY));
+        }
+
+        run() {
+            const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+            const startedAt = Date.now();
+            const context = { name: this.name, lastRun: this.lastRun(), signal: controller ? controller.signal : undefined };
+            this.controller = controller;
+            this.running = true;
+            this.member._log('info', `⏰ Running job "${this.name}".`);
+
+            const settle = (failed, err) => {
+                this.running = false;
+                this.controller = null;
+                // رهبری از دست رفته: اجرا ثبت نمی‌شود تا لیدر بعدی آن را انجام دهد
+                if (controller && controller.signal.aborted) {
+                    this.arm();
+                    return;
+                }
+                if (failed) this.member._log('error', `❌ Job "${this.name}" failed.`, { job: this.name, error: err });
+
+                this.localLastRun = startedAt;
+                try {
+                    this.member._setInternalState(this.stateKey, { lastRun: startedAt, finishedAt: Date.now() });
+                } catch (e) {
+                    this.member._log('error', `❌ Job "${this.name}" could not record its run.`, { job: this.name, error: e });
+                }
+                this.arm();
+            };
+
+            new Promise(resolve => resolve(this.fn(context))).then(() => settle(false), err => settle(true, err));
+        }
+    }
+
+    const FlockScheduler = {
+        JOB_STATE_PREFIX,
+        parseCron,
+        nextCronTime,
+        ScheduledJob
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = FlockScheduler;
+    } else if (typeof window !== 'undefined') {
+        window.FlockScheduler = FlockScheduler;
+    }
+})();
@@ -4,6 +4,593 @@
  */
 
 (function() {
+    let Transports;
+    let Errors;
+    let Protocol;
+
+    if (typeof require === 'function' && typeof module !== 'undefined') {
+        try {
+            Transports = require('./FlockTransports.js');
+            Errors = require('./FlockErrors.js');
+            Protocol = require('./FlockProtocol.js');
+        } catch (e) {
+            console.error("FlockSingleton Error: Could not require './FlockTransports.js', './FlockErrors.js' and './FlockProtocol.js'.");
+        }
+    } else if (typeof window !== 'undefined') {
+        if (window.FlockTransports && window.FlockErrors && window.FlockProtocol) {
+            Transports = window.FlockTransports;
+            Errors = window.FlockErrors;
+            Protocol = window.FlockProtocol;
+        } else {
+            throw new Error("FlockSingleton Error: FlockErrors.js, FlockTransports.js and FlockProtocol.js must be loaded BEFORE FlockSingleton.js");
+        }
+    }
+
+    /**
+     * Leader-side lock table for named mutexes and semaphores.
+     * Only the leader's instance is active; on every leadership change the table is
+     * dropped and rebuilt from the `lock-renew` messages the holders send.
+     */
+    class LockManager {
+        constructor(singleton) {
+            this.singleton = singleton;
+            this.table = new Map();
+            this.rebuilding = false;
+            this.deferred = [];
+            this.rebuildTimer = null;
+            this.sweepTimer = null;
+        }
+
+        reset(isLeader) {
+            clearTimeout(this.rebuildTimer);
+            clearInterval(this.sweepTimer);
+            this.sweepTimer = null;
+            this.table.clear();
+            this.deferred = [];
+            this.rebuilding = isLeader;
+            if (!isLeader) return;
+
+            // در این مهلت فقط قفل‌های موجود بازپس گرفته می‌شوند و درخواست جدیدی پذیرفته نمی‌شود
+            this.rebuildTimer = setTimeout(() => {
+                this.rebuilding = false;
+                const deferred = this.deferred;
+                this.deferred = [];
+                deferred.forEach(data => this.acquire(data));
+            }, this.singleton.HEARTBEAT_INTERVAL);
+            this.sweepTimer = setInterval(() => this.sweep(), this.singleton.HEARTBEAT_INTERVAL);
+        }
+
+        getEntry(name, permits) {
+            if (!this.table.has(name)) {
+                this.table.set(name, { permits: permits || 1, holders: new Map(), waiters: [] });
+            }
+            return this.table.get(name);
+        }
+
+        acquire(data) {
+            if (this.rebuilding) { this.deferred.push(data); return; }
+
+            const { name, permits, ttl, wait } = data.payload;
+            const entry = this.getEntry(name, permits);
+            const lockId = data.requestId;
+
+            if (entry.holders.has(lockId)) return this.reply(data.senderId, lockId, name, true);
+            if (entry.waiters.some(w => w.lockId === lockId)) return;
+
+            const req = { lockId, memberId: data.senderId, ttl, renewedAt: Date.now() };
+            if (entry.holders.size < entry.permits && entry.waiters.length === 0) this.grant(name, entry, req);
+            else if (wait) entry.waiters.push(req);
+            else this.reply(data.senderId, lockId, name, false);
+        }
+
+        release(data) {
+            const name = data.payload.name;
+            const entry = this.table.get(name);
+            if (!entry) return;
+            entry.holders.delete(data.requestId);
+            entry.waiters = entry.waiters.filter(w => w.lockId !== data.requestId);
+            this.pump(name, entry);
+        }
+
+        renew(data) {
+            const now = Date.now();
+            const { held = [], waiting = [] } = data.payload;
+
+            held.forEach(lock => {
+                const entry = this.getEntry(lock.name, lock.permits);
+                const holder = entry.holders.get(lock.lockId);
+                if (holder) {
+                    holder.renewedAt = now;
+                } else if (entry.holders.size < entry.permits) {
+                    // بازپس‌گیری قفل پس از تغییر لیدر
+                    entry.holders.set(lock.lockId, {
+                        memberId: data.senderId,
+                        renewedAt: now,
+                        expiresAt: lock.ttl ? now + lock.ttl : Infinity
+                    });
+                } else {
+                    this.singleton.broadcastInternal({ type: 'lock-lost', targetId: data.senderId, requestId: lock.lockId, payload: { name: lock.name } });
+                }
+            });
+
+            waiting.forEach(lock => {
+                const entry = this.table.get(lock.name);
+                const waiter = entry && entry.waiters.find(w => w.lockId === lock.lockId);
+                if (waiter) waiter.renewedAt = now;
+                else this.acquire({ senderId: data.senderId, requestId: lock.lockId, payload: lock });
+            });
+        }
+
+        // Frees locks whose lease ran out or whose holder stopped renewing them.
+        sweep() {
+            const now = Date.now();
+            const ttl = this.singleton.HEARTBEAT_TTL;
+            this.table.forEach((entry, name) => {
+                entry.holders.forEach((holder, lockId) => {
+                    if (now - holder.renewedAt > ttl || now > holder.expiresAt) entry.holders.delete(lockId);
+                });
+                entry.waiters = entry.waiters.filter(w => now - w.renewedAt <= ttl);
+                this.pump(name, entry);
+            });
+        }
+
+        pump(name, entry) {
+            while (entry.holders.size < entry.permits && entry.waiters.length > 0) {
+                this.grant(name, entry, entry.waiters.shift());
+            }
+            if (entry.holders.size === 0 && entry.waiters.length === 0) this.table.delete(name);
+        }
+
+        grant(name, entry, req) {
+            entry.holders.set(req.lockId, {
+                memberId: req.memberId,
+                renewedAt: Date.now(),
+                expiresAt: req.ttl ? Date.now() + req.ttl : Infinity
+            });
+            this.reply(req.memberId, req.lockId, name, true);
+        }
+
+        reply(memberId, lockId, name, granted) {
+            this.singleton.broadcastInternal({ type: 'lock-grant', targetId: memberId, requestId: lockId, payload: { name, granted } });
+        }
+    }
+
+    /**
+     * Leader-authoritative key/value replica. Every instance keeps a full copy, but only
+     * the leader applies writes: it bumps the version and broadcasts one diff per write.
+     * Followers that detect a gap, join late, or see a new leader catch up via snapshots.
+     * A snapshot that arrives before its sender is known as the leader is kept until then.
+     */
+    class StateStore {
+        constructor(singleton) {
+            this.singleton = singleton;
+            this.data = new Map();
+            this.version = 0;
+            // key -> Map(cb -> member)؛ خطای هر شنونده به logger عضو خودش می‌رود
+            this.subscribers = new Map();
+            // آخرین snapshot از فرستنده‌ای که هنوز لیدر شناخته نشده (مثلاً زودتر از ضربانش رسیده)
+            this.heldSnapshot = null;
+        }
+
+        get(key) { return this.data.get(key); }
+        keys() { return Array.from(this.data.keys()); }
+
+        subscribe(key, cb, member) {
+            if (!this.subscribers.has(key)) this.subscribers.set(key, new Map());
+            this.subscribers.get(key).set(cb, member);
+            return () => {
+                const set = this.subscribers.get(key);
+                if (set && set.delete(cb) && set.size === 0) this.subscribers.delete(key);
+            };
+        }
+
+        snapshot() {
+            return { version: this.version, entries: Array.from(this.data.entries()) };
+        }
+
+        // --- Leader side ---
+
+        applyWrite(data) {
+            const { key, value, deleted } = data.payload;
+            this.version++;
+            this.commit(key, value, deleted);
+            this.singleton.broadcastInternal({
+                type: 'state-diff',
+                senderId: this.singleton.leaderId,
+                payload: { version: this.version, key, value, deleted }
+            });
+        }
+
+        broadcastSnapshot() {
+            this.singleton.broadcastInternal({ type: 'state-snapshot', senderId: this.singleton.leaderId, payload: this.snapshot() });
+        }
+
+        // یک پیرو نسخه‌ی جدیدتری از ما دارد (مثلاً لیدر جدید عقب مانده بود)
+        handleOffer(data) {
+            if (data.payload.version <= this.version) return;
+            this.load(data.payload);
+            this.broadcastSnapshot();
+        }
+
+        // --- Follower side ---
+
+        applyDiff(data) {
+            if (this.singleton.isLeaderState || data.senderId !== this.singleton.leaderId) return;
+            const { version, key, value, deleted } = data.payload;
+            if (version <= this.version) return;
+            if (version > this.version + 1) {
+                // Missed a diff: ask the leader for a full snapshot instead.
+                this.singleton.broadcastInternal({ type: 'state-sync-request' });
+                return;
+            }
+            this.version = version;
+            this.commit(key, value, deleted);
+        }
+
+        applySnapshot(data) {
+            if (this.singleton.isLeaderState) return;
+            if (data.senderId !== this.singleton.leaderId) {
+                this.heldSnapshot = data;
+                return;
+            }
+            if (data.payload.version >= this.version) {
+                this.load(data.payload);
+            } else {
+                this.singleton.broadcastInternal({ type: 'state-offer', payload: this.snapshot() });
+            }
+        }
+
+        // A held snapshot is applied once its sender turns out to be the leader, and dropped otherwise.
+        leaderChanged(leaderId) {
+            const held = this.heldSnapshot;
+            this.heldSnapshot = null;
+            if (held && leaderId && held.senderId === leaderId) this.applySnapshot(held);
+        }
+
+        // --- Internal ---
+
+        load(snapshot) {
+            const next = new Map(snapshot.entries);
+            const changed = new Set();
+            this.data.forEach((value, key) => {
+                if (!next.has(key) || JSON.stringify(next.get(key)) !== JSON.stringify(value)) changed.add(key);
+            });
+            next.forEach((_, key) => { if (!this.data.has(key)) changed.add(key); });
+
+            this.data = next;
+            this.version = snapshot.version;
+            changed.forEach(key => this.notify(key));
+        }
+
+        commit(key, value, deleted) {
+            if (deleted) this.data.delete(key);
+            else this.data.set(key, value);
+            this.notify(key);
+        }
+
+        notify(key) {
+            const set = this.subscribers.get(key);
+            if (!set) return;
+            const value = this.data.get(key);
+            set.forEach((member, cb) => {
+                try {
+                    cb(value, key);
+                } catch (e) {
+                    member._log('error', `❌ A subscriber to state key "${key}" threw.`, { key, error: e });
+                }
+            });
+        }
+    }
+
+    /**
+     * Bounded, TTL-based record of the requests and messages the leader has handled,
+     * keyed by sender and request id, so retried deliveries are not processed twice.
+     * The oldest entries are evicted first once `maxSize` is reached.
+     */
+    class RequestCache {
+        constructor(maxSize, ttl) {
+            this.maxSize = maxSize;
+            this.ttl = ttl;
+            this.entries = new Map();
+        }
+
+        // originId: عضوی که مورد را ابتدا فرستاده (برای موارد تحویل‌گرفته از صندوق خروجی)
+        key(data) { return `${data.originId || data.senderId}:${data.requestId}`; }
+
+        get(key) {
+            const entry = this.entries.get(key);
+            if (!entry) return null;
+            if (Date.now() > entry.expiresAt) {
+                this.entries.delete(key);
+                return null;
+            }
+            return entry;
+        }
+
+        set(key, entry, ttl = this.ttl) {
+            this.entries.delete(key);
+            this.entries.set(key, { ...entry, expiresAt: Date.now() + ttl });
+            while (this.entries.size > this.maxSize) this.entries.delete(this.entries.keys().next().value);
+        }
+
+        delete(key) { this.entries.delete(key); }
+
+        // Records a one-way delivery; returns false if it was already handled.
+        remember(data) {
+            const key = this.key(data);
+            if (this.get(key)) return false;
+            this.set(key, { status: 'done' });
+            return true;
+        }
+
+        // فهرست قابل انتقال به لیدر بعدی؛ زمان انقضا نسبی است چون ساعت‌ها ممکن است یکسان نباشند
+        export(inflightTtl) {
+            const now = Date.now();
+            const list = [];
+            this.entries.forEach((entry, key) => {
+                if (now > entry.expiresAt) return;
+                const remaining = entry.expiresAt - now;
+                list.push([key, {
+                    status: entry.status,
+                    response: entry.response,
+                    ttl: entry.status === 'inflight' ? Math.min(remaining, inflightTtl) : remaining
+                }]);
+            });
+            return list;
+        }
+
+        import(list) {
+            list.forEach(([key, entry]) => {
+                if (!this.get(key)) this.set(key, { status: entry.status, response: entry.response }, entry.ttl);
+            });
+        }
+    }
+
+    // FNV-1a؛ برای پخش نقش‌ها ترتیبی قطعی می‌سازد که برای هر نقش متفاوت است
+    function hashKey(str) {
+        let h = 0x811c9dc5;
+        for (let i = 0; i < str.length; i++) {
+            h ^= str.charCodeAt(i);
+            h = Math.imul(h, 0x01000193);
+        }
+        return (h >>> 0).toString(16).padStart(8, '0');
+    }
+
+    // Positive when rank `a` beats rank `b`: higher priority, then fewer held roles, then lower key.
+    function compareRanks(a, b) {
+        if (a.priority !== b.priority) return a.priority - b.priority;
+        if (a.load !== b.load) return b.load - a.load;
+        return a.key < b.key ? 1 : (a.key > b.key ? -1 : 0);
+    }
+
+    /**
+     * Independent elections for named roles ('socket', 'sync', ...) that run next to the
+     * main leader election over the same transport. Only members that campaign for a role
+     * stand for it. Each role has its own term, which doubles as a fencing token: it only
+     * grows, so a resource can reject work stamped with an older term.
+     * With `spread`, candidates holding fewer roles win, and an idle candidate takes a role
+     * over from a holder that has more roles than it does.
+     */
+    class RoleManager {
+        constructor(singleton) {
+            this.singleton = singleton;
+            // role -> { term, holderId, rank, lastHeartbeat, since, createdAt }
+            this.roles = new Map();
+        }
+
+        get(role) {
+            if (!this.roles.has(role)) {
+                const now = Date.now();
+                this.roles.set(role, { term: 0, holderId: null, rank: null, lastHeartbeat: now, since: now, createdAt: now });
+            }
+            return this.roles.get(role);
+        }
+
+        info(role) {
+            const entry = this.roles.get(role);
+            return { role, holderId: entry ? entry.holderId : null, term: entry ? entry.term : 0 };
+        }
+
+        isLocal(id) { return !!id && this.singleton.members.has(id); }
+
+        // تعداد نقش‌های دیگری که این عضو در اختیار دارد
+        load(id, role) {
+            let count = 0;
+            this.roles.forEach((entry, name) => { if (name !== role && entry.holderId === id) count++; });
+            return count;
+        }
+
+        rankOf(member, role) {
+            const campaign = member.campaigns.get(role);
+            const priority = campaign.priority !== undefined ? Number(campaign.priority) || 0 : member.getPriority();
+            return {
+                priority,
+                load: campaign.spread ? this.load(member.id, role) : 0,
+                key: campaign.spread ? hashKey(`${role}:${member.id}`) : member.id
+            };
+        }
+
+        outranks(entry, term, rank) {
+            if (term !== entry.term) return term > entry.term;
+            if (!entry.holderId || !entry.rank) return true;
+            return compareRanks(rank, entry.rank) > 0;
+        }
+
+        // The best local member campaigning for `role`, with its rank.
+        candidate(role) {
+            let best = null;
+            this.singleton.members.forEach(member => {
+                if (!member.campaigns.has(role)) return;
+                const rank = this.rankOf(member, role);
+                if (!best || compareRanks(rank, best.rank) > 0) best = { member, rank };
+            });
+            return best;
+        }
+
+        campaign(role) {
+            this.get(role);
+            // ابتدا دارنده‌ی فعلی را می‌پرسیم تا با ادعای زودهنگام نقش را دو نفره نکنیم
+            this.singleton.broadcastInternal({ type: 'role-sync-request' });
+            setTimeout(() => { if (!this.get(role).holderId) this.claim(role); }, 500);
+        }
+
+        claim(role) {
+            if (this.singleton.electionsPaused) return;
+            const best = this.candidate(role);
+            if (!best) return;
+            const entry = this.get(role);
+            this.singleton.broadcastInternal({ type: 'role-claim', senderId: best.member.id, payload: { role, term: entry.term + 1, rank: best.rank } });
+        }
+
+        resign(memberId, role) {
+            const entry = this.roles.get(role);
+            if (!entry || entry.holderId !== memberId) return;
+            this.singleton.broadcastInternal({ type: 'role-resign', senderId: memberId, payload: { role, term: entry.term } });
+        }
+
+        // The holder is gone without resigning (its relay connection dropped): its roles are free at once.
+        forgetHolder(holderId) {
+            this.roles.forEach((entry, role) => {
+                if (entry.holderId !== holderId) return;
+                this.setHolder(role, entry, null, entry.term, null);
+                this.claim(role);
+            });
+        }
+
+        // Cut off from the flock, this instance cannot tell who holds what, its own roles included.
+        vacateAll() {
+            this.roles.forEach((entry, role) => {
+                if (entry.holderId) this.setHolder(role, entry, null, entry.term, null);
+            });
+        }
+
+        // Every role the (already unregistered) member held is given up.
+        releaseAll(memberId) {
+            this.roles.forEach((entry, role) => { if (entry.holderId === memberId) this.resign(memberId, role); });
+        }
+
+        handleClaim(senderId, { role, term, rank }) {
+            const entry = this.get(role);
+            if (this.outranks(entry, term, rank)) this.setHolder(role, entry, senderId, term, rank);
+            else if (this.isLocal(entry.holderId) && senderId !== entry.holderId) this.sendHeartbeat();
+        }
+
+        handleHeartbeat(roles = []) {
+            let defend = false;
+            roles.forEach(({ role, holderId, term, rank }) => {
+                const entry = this.get(role);
+                if (term === entry.term && holderId === entry.holderId) {
+                    entry.rank = rank;
+                    entry.lastHeartbeat = Date.now();
+                } else if (this.outranks(entry, term, rank)) {
+                    this.setHolder(role, entry, holderId, term, rank);
+                } else if (this.isLocal(entry.holderId)) {
+                    defend = true;
+                }
+            });
+            if (defend) this.sendHeartbeat();
+        }
+
+        handleResign(senderId, { role, term }) {
+            const entry = this.roles.get(role);
+            if (!entry || term < entry.term || entry.holderId !== senderId) return;
+            this.setHolder(role, entry, null, entry.term, null);
+            this.claim(role);
+        }
+
+        setHolder(role, entry, holderId, term, rank) {
+            const changed = entry.holderId !== holderId || entry.term !== term;
+            if (entry.holderId !== holderId) entry.since = Date.now();
+            entry.holderId = holderId;
+            entry.term = term;
+            entry.rank = rank;
+            entry.lastHeartbeat = Date.now();
+            if (!changed) return;
+
+            this.singleton.members.forEach(m => {
+                const cb = m.roleCallbacks.get(role);
+                if (cb) m._notifyRole(cb, holderId, { role, term });
+            });
+        }
+
+        // One message renews every role held in this instance.
+        sendHeartbeat() {
+            const roles = [];
+            this.roles.forEach((entry, role) => {
+                const member = this.singleton.members.get(entry.holderId);
+                if (member && member.campaigns.has(role)) {
+                    roles.push({ role, holderId: member.id, term: entry.term, rank: this.rankOf(member, role) });
+                }
+            });
+            if (roles.length > 0) this.singleton.broadcastInternal({ type: 'role-heartbeat', payload: { roles } });
+        }
+
+        // Runs from the monitoring loop: expire silent holders, fill vacancies, rebalance.
+        check() {
+            const now = Date.now();
+            const ttl = this.singleton.HEARTBEAT_TTL;
+            this.roles.forEach((entry, role) => {
+                if (entry.holderId && !this.isLocal(entry.holderId) && now - entry.lastHeartbeat > ttl) {
+                    this.setHolder(role, entry, null, entry.term, null);
+                }
+            });
+
+            const campaigned = new Set();
+            this.singleton.members.forEach(m => m.campaigns.forEach((_, role) => campaigned.add(role)));
+            campaigned.forEach(role => {
+                const entry = this.get(role);
+                if (!entry.holderId) {
+                    if (now - entry.createdAt >= 500) this.claim(role);
+                    return;
+                }
+                // پخش نقش‌ها: فقط وقتی دارنده مدتی ثابت مانده و واقعاً نقش‌های بیشتری دارد
+                if (this.isLocal(entry.holderId) || !entry.rank || now - entry.since < ttl) return;
+                const best = this.candidate(role);
+                if (best && best.member.campaigns.get(role).spread &&
+                    best.rank.priority >= entry.rank.priority && entry.rank.load > best.rank.load) {
+                    this.claim(role);
+                }
+            });
+        }
+    }
+
+    // پیام‌هایی که فقط لیدر پردازش می‌کند؛ در حین واگذاری رهبری نگه داشته می‌شوند
+    const LEADER_WORK_TYPES = new Set([
+        'request', 'message-to-leader', 'message-batch', 'state-set', 'lock-acquire', 'lock-release', 'lock-renew'
+    ]);
+
+    // کارهایی که سهم هر عضو از آن‌ها با memberRateLimit لیدر محدود می‌شود
+    const RATE_LIMITED_TYPES = new Set(['request', 'message-to-leader', 'message-batch', 'state-set']);
+
+    /**
+     * Leader-side token bucket per sender, so one member cannot flood the leader whatever
+     * its own `rateLimit` says. Work over the limit is neither served nor acknowledged;
+     * the sender's retry backoff slows it down.
+     */
+    class MemberRateLimiter {
+        constructor() {
+            // senderId -> { tokens, refilledAt }
+            this.buckets = new Map();
+        }
+
+        admit(senderId, limit, burst) {
+            if (!limit || !senderId) return true;
+            const now = Date.now();
+            let bucket = this.buckets.get(senderId);
+            if (!bucket) {
+                bucket = { tokens: burst, refilledAt: now };
+                this.buckets.set(senderId, bucket);
+            }
+            bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.refilledAt) / 1000 * limit);
+            bucket.refilledAt = now;
+            if (bucket.tokens < 1) return false;
+            bucket.tokens -= 1;
+            return true;
+        }
+
+        forget(senderId) { this.buckets.delete(senderId); }
+    }
+
     // مخزن نگهداری نمونه‌ها بر اساس نام کانال (Multiton Pattern)
     const instances = new Map();
 
@@ -12,14 +599,29 @@
             this.CHANNEL_NAME = options.channelName || 'flock_channel_v1';
             this.HEARTBEAT_INTERVAL = options.heartbeatInterval || 2000;
             this.HEARTBEAT_TTL = options.heartbeatTtl || 5000;
+            this.REQUEST_CACHE_TTL = options.requestCacheTtl || 60000;
+            this.REQUEST_CACHE_SIZE = options.requestCacheSize || 1000;
 
             this.isNode = typeof module !== 'undefined' && !!module.exports;
             this.isBrowser = typeof window !== 'undefined';
 
             this.members = new Map();
-            this.remoteMembers = new Map();
+            // فهرست حضور همه‌ی اعضای فلاک (محلی و راه دور): id -> { id, metadata, lastSeen }
+            this.roster = new Map();
+            this.presenceTimer = null;
+            this.visibilityListener = null;
             this.leaderId = null;
             this.isLeaderState = false;
+            // دوره‌ی (term) انتخابات؛ فقط رو به افزایش است و پیام‌های دوره‌های قدیمی نادیده گرفته می‌شوند
+            this.term = 0;
+            // اولویت لیدر فعلی، همان‌طور که در ادعا یا ضربانش اعلام شده
+            this.leaderPriority = 0;
+            // از چه زمانی عضوی با اولویت بالاتر از لیدر (ما) وجود دارد؛ برای مهاجرت رهبری
+            this.outrankedSince = null;
+            // از چه زمانی ادعای ما به نفع عضوی با اولویت بالاتر عقب افتاده است
+            this.claimDeferredSince = null;
+            // لیدری که کنار کشیده تا HEARTBEAT_TTL نامزد حساب نمی‌شود: { id, at }
+            this.resignedLeader = null;
             this.lastHeartbeatTime = Date.now();
 
             this.heartbeatTimer = null;
@@ -30,59 +632,369 @@
             this.exclusionTimer = null;
             // ===================================
 
-            this.setupTransport();
+            // واگذاری هدفمند رهبری: handoff سمت لیدر قدیم، pendingHandoff سمت جانشین
+            this.handoff = null;
+            this.pendingHandoff = null;
+            // دوره‌ای که با handoff شروع شد؛ ضربان‌های آن هم نشانه‌ی handoff دارند چون ممکن است زودتر از ادعا برسند
+            this.handoffTerm = null;
+
+            // درخواست‌هایی که handler لیدر هنوز پاسخ نداده (برای لغو از طرف درخواست‌کننده)
+            // `${senderId}:${requestId}` -> AbortController؛ فقط خود فرستنده می‌تواند درخواستش را لغو کند
+            this.inflightRequests = new Map();
+            this.requestCache = new RequestCache(this.REQUEST_CACHE_SIZE, this.REQUEST_CACHE_TTL);
+
+            this.locks = new LockManager(this);
+            this.store = new StateStore(this);
+            this.roles = new RoleManager(this);
+            this.rateLimiter = new MemberRateLimiter();
+
+            // اتصال ترنسپورت قطع است (onStatus): انتخاباتی برگزار نمی‌شود
+            this.electionsPaused = false;
+            this.resumeElectionsTimer = null;
+
+            // پروتکل: پیام‌های ورودی پیش از handleMessage از نظر نسخه، امضا و ساختار بررسی می‌شوند
+            this.minProtocolVersion = options.minProtocolVersion || 1;
+            this.signer = options.secret ? Protocol.createSigner(options.secret) : null;
+            this.validate = options.validate || null;
+            this.onReject = options.onReject || null;
+            this.replayWindow = options.replayWindow || 30000;
+            // امضاهای دیده‌شده -> زمان انقضا؛ برای رد پیام‌های تکراری
+            this.seenSignatures = new Map();
+            // اعضای نمونه‌هایی با پروتکل ناسازگار -> زمان انقضا؛ پیامشان پذیرفته نمی‌شود
+            this.incompatiblePeers = new Map();
+            // امضا ناهمگام است؛ این صف‌ها ترتیب پیام‌ها را حفظ می‌کنند
+            this.outgoing = Promise.resolve();
+            this.incoming = Promise.resolve();
+
+            // کش singletonها؛ وقتی آخرین عضو می‌رود این نمونه از آن حذف می‌شود
+            this.registry = options.scope || instances;
+            // ترنسپورتی که اولین عضو خواسته، برای مقایسه با اعضای بعدی
+            this.requestedTransport = options.transport;
+
+            // شمارنده‌های سطح نمونه برای getStats؛ از لحظه‌ی ساخت، فلاک بدون لیدر حساب می‌شود
+            this.metrics = {
+                elections: 0,
+                lastElectionAt: null,
+                // آخرین دوره‌ای که شمرده شده
+                electedTerm: null,
+                leaderlessSince: Date.now(),
+                leaderlessMs: 0,
+                sent: {},
+                received: {},
+                rejected: {}
+            };
+
+            this.setupTransport(options.transport);
             this.startMonitoring();
+            this.startPresenceLoop();
         }
 
-        setupTransport() {
-            if (typeof BroadcastChannel !== 'undefined') {
-                try {
-                    this.channel = new BroadcastChannel(this.CHANNEL_NAME);
-                    this.channel.onmessage = (event) => this.handleMessage(event.data);
-                    return;
-                } catch (e) { /* Fallback */ }
-            }
-            if (this.isBrowser && window.localStorage) {
-                window.addEventListener('storage', (event) => {
-                    if (event.key === this.CHANNEL_NAME && event.newValue) {
-                        try { this.handleMessage(JSON.parse(event.newValue)); } catch(e){}
-                    }
-                });
-                this.useLocalStorage = true;
+        /**
+         * @param transport A transport object, a factory `(channelName) => transport`,
+         *                  or nothing to use BroadcastChannel / localStorage (see FlockTransports.js).
+         */
+        setupTransport(transport) {
+            if (typeof transport === 'function') transport = transport(this.CHANNEL_NAME);
+            if (!transport) transport = Transports.createDefaultTransport(this.CHANNEL_NAME);
+
+            this.transport = transport || null;
+            if (this.transport) this.transport.onMessage((msg) => this.receive(msg));
+            if (this.transport && this.transport.onStatus) this.transport.onStatus((status) => this.handleTransportStatus(status));
+            if (this.transport && this.transport.onLeave) this.transport.onLeave((ids) => this.handlePeersGone(ids));
+        }
+
+        /**
+         * For transports that can lose their connection (e.g. relay). Cut off from the
+         * flock, the leader may already have been replaced elsewhere: the leader is dropped
+         * (a local one steps down), roles are vacated the same way, and no election is held
+         * until the connection is back and the current holders have had time to answer.
+         */
+        handleTransportStatus(status) {
+            clearTimeout(this.resumeElectionsTimer);
+            if (status === 'disconnected') {
+                this.electionsPaused = true;
+                if (this.leaderId) {
+                    this.noteLeaderLost('disconnected');
+                    this.setLeader(null);
+                }
+                this.roles.vacateAll();
+                return;
             }
+
+            const member = this.members.values().next().value;
+            if (member) this.broadcastInternal({ type: 'request-leader-sync', senderId: member.id });
+            this.broadcastInternal({ type: 'role-sync-request' });
+            this.sendPresence();
+            this.resumeElectionsTimer = setTimeout(() => {
+                this.electionsPaused = false;
+                if (!this.leaderId) this.triggerElection();
+            }, 500);
         }
 
         broadcastInternal(payload) {
-            const msg = { ...payload, _ts: Date.now() };
-            if (this.channel) {
-                this.channel.postMessage(msg);
-            } else if (this.useLocalStorage) {
-                localStorage.setItem(this.CHANNEL_NAME, JSON.stringify(msg));
-                setTimeout(() => localStorage.removeItem(this.CHANNEL_NAME), 50);
+            // پیامی که دوباره منتشر می‌شود (مثلاً کار بافرشده‌ی handoff) امضای قبلی‌اش را نمی‌برد
+            const { _sig, ...rest } = payload;
+            const msg = { ...rest, _ts: Date.now(), _v: Protocol.PROTOCOL_VERSION };
+            if (this.transport) {
+                this.sendToTransport(msg);
+                this.countMessage('sent', msg);
             }
             this.handleMessage(msg);
         }
 
+        sendToTransport(msg) {
+            if (!this.signer) {
+                this.transport.send(msg);
+                return;
+            }
+            this.outgoing = this.outgoing
+                .then(() => this.signer.sign(Protocol.signingBody(msg)))
+                .then(sig => {
+                    // همان پیام در همان میلی‌ثانیه (مثلاً دو ضربان پشت سر هم): گیرنده‌ها آن را تکراری می‌شمارند
+                    if (this.seenSignatures.has(sig)) return;
+                    // پیام خودمان هم اگر دوباره پخش شود تکراری است
+                    this.rememberSignature(sig);
+                    if (this.transport) this.transport.send({ ...msg, _sig: sig });
+                })
+                .catch(err => this.logError(`❌ Could not sign a "${msg.type}" message.`, { type: msg.type, error: err }));
+        }
+
+        // --- Protocol ---
+
+        /**
+         * Entry point for everything that arrives over the transport. Messages from a
+         * protocol older than `minProtocolVersion`, unsigned or badly signed messages (when
+         * a `secret` is set), replays and malformed messages never reach handleMessage.
+         */
+        receive(msg) {
+            if (!msg || typeof msg !== 'object') return this.reject('schema', msg, 'message must be an object');
+            const version = msg._v || 1;
+            if (version < this.minProtocolVersion) {
+                return this.reject('version', msg, `protocol version ${version} is below the minimum ${this.minProtocolVersion}`);
+            }
+            if (!this.signer) return this.accept(msg);
+
+            this.incoming = this.incoming
+                .then(() => this.verifySignature(msg))
+                .then(valid => { if (valid) this.accept(msg); })
+                .catch(err => this.logError('❌ Could not verify a message.', { type: msg.type, error: err }));
+        }
+
+        verifySignature(msg) {
+            if (typeof msg._sig !== 'string') {
+                this.reject('signature', msg, 'message is not signed');
+                return Promise.resolve(false);
+            }
+            return this.signer.verify(Protocol.signingBody(msg), msg._sig).then(valid => {
+                if (!valid) {
+                    this.reject('signature', msg, 'signature does not match');
+                    return false;
+                }
+
+                // امضای معتبر ولی تکراری یا قدیمی: پیامی که دوباره پخش شده است
+                const now = Date.now();
+                if (typeof msg._ts !== 'number' || Math.abs(now - msg._ts) > this.replayWindow || this.seenSignatures.has(msg._sig)) {
+                    this.reject('replay', msg, 'message was already seen or is outside the replay window');
+                    return false;
+                }
+                this.rememberSignature(msg._sig);
+                return true;
+            });
+        }
+
+        rememberSignature(sig) {
+            const now = Date.now();
+            // به ترتیب درج، پس به ترتیب انقضا هم هست
+            for (const [seen, expiresAt] of this.seenSignatures) {
+                if (expiresAt > now) break;
+                this.seenSignatures.delete(seen);
+            }
+            this.seenSignatures.set(sig, now + this.replayWindow);
+        }
+
+        accept(msg) {
+            const error = Protocol.validateMessage(msg);
+            if (error) return this.reject('schema', msg, error);
+
+            const incompatible = this.checkCompatibility(msg);
+            if (incompatible) return this.reject('version', msg, incompatible);
+
+            if (this.validate) {
+                let result;
+                try {
+                    result = this.validate(msg);
+                } catch (err) {
+                    return this.reject('validate', msg, err && err.message ? err.message : String(err));
+                }
+                if (result === false || typeof result === 'string') {
+                    return this.reject('validate', msg, typeof result === 'string' ? result : 'rejected by the validate hook');
+                }
+            }
+            this.countMessage('received', msg);
+            this.handleMessage(msg);
+        }
+
+        /**
+         * Presence tells which protocol an instance speaks. The members of an instance this
+         * one cannot elect with are shut out until they stop announcing themselves, so
+         * incompatible versions form separate flocks instead of fighting over one election.
+         */
+        checkCompatibility(msg) {
+            if (msg.type === 'presence') {
+                const reason = Protocol.incompatibility(this.presenceProtocol(msg));
+                if (reason) this.shutOut(msg.payload.members.map(member => member && member.id).filter(Boolean));
+                return reason;
+            }
+            return msg.senderId && this.incompatiblePeers.has(msg.senderId) ? 'the sender runs an incompatible protocol' : null;
+        }
+
+        presenceProtocol(msg) {
+            const payload = msg.payload || {};
+            return {
+                version: msg._v || 1,
+                minVersion: payload.minVersion || 1,
+                // نسخه‌های بدون _v فهرست قابلیت نداشتند و چیزی از آن‌ها فرض نمی‌شود
+                features: Array.isArray(payload.features) ? payload.features : []
+            };
+        }
+
+        shutOut(ids) {
+            const expiresAt = Date.now() + this.HEARTBEAT_TTL;
+            ids.forEach(id => {
+                if (this.members.has(id)) return;
+                this.incompatiblePeers.set(id, expiresAt);
+                this.removeFromRoster(id);
+                // پیش از رسیدن presence رهبرش را پذیرفته بودیم
+                if (id === this.leaderId) {
+                    this.noteLeaderLost('incompatible');
+                    this.setLeader(null);
+                    this.triggerElection();
+                }
+            });
+        }
+
+        reject(reason, message, detail) {
+            this.metrics.rejected[reason] = (this.metrics.rejected[reason] || 0) + 1;
+            const type = message && typeof message.type === 'string' ? message.type : null;
+            this.emitLocal('drop', { reason, type, requestId: message && message.requestId, detail });
+            if (!this.onReject) return;
+            try {
+                this.onReject({ reason, detail, message });
+            } catch (err) {
+                this.logError(`❌ onReject threw for a "${reason}" rejection.`, { reason, error: err });
+            }
+        }
+
+        // The instance has no logger of its own: its errors go to the logger of a local member.
+        logError(message, fields) {
+            const member = this.members.values().next().value;
+            if (member) member._log('error', message, fields);
+        }
+
+        // --- Metrics ---
+
+        countMessage(direction, msg) {
+            const counts = this.metrics[direction];
+            counts[msg.type] = (counts[msg.type] || 0) + 1;
+            this.emitLocal('message', {
+                direction: direction === 'sent' ? 'out' : 'in',
+                type: msg.type,
+                senderId: msg.senderId,
+                targetId: msg.targetId,
+                requestId: msg.requestId
+            });
+        }
+
+        emitLocal(event, data) {
+            this.members.forEach(m => m._emit(event, data));
+        }
+
+        // The leader was lost (timed out or resigned); the time until the next election counts as leaderless.
+        noteLeaderLost(reason) {
+            if (!this.leaderId) return;
+            if (this.metrics.leaderlessSince === null) this.metrics.leaderlessSince = Date.now();
+            this.emitLocal('leader-lost', { leaderId: this.leaderId, term: this.term, reason });
+        }
+
+        getStats() {
+            const m = this.metrics;
+            const now = Date.now();
+            return {
+                leaderId: this.leaderId,
+                term: this.term,
+                elections: m.elections,
+                lastElectionAt: m.lastElectionAt,
+                leaderlessMs: m.leaderlessMs + (m.leaderlessSince === null ? 0 : now - m.leaderlessSince),
+                messages: { sent: { ...m.sent }, received: { ...m.received }, rejected: { ...m.rejected } }
+            };
+        }
+
+        localProtocol() {
+            return { version: Protocol.PROTOCOL_VERSION, features: Protocol.FEATURES };
+        }
+
+        // Features every member currently in the roster advertises.
+        getNegotiatedFeatures() {
+            const records = Array.from(this.roster.values());
+            return Protocol.FEATURES.filter(feature => records.every(record => record.features.includes(feature)));
+        }
+
+        getProtocolInfo() {
+            const versions = Array.from(this.roster.values()).map(record => record.version);
+            return {
+                version: Protocol.PROTOCOL_VERSION,
+                minVersion: this.minProtocolVersion,
+                // پایین‌ترین نسخه در فلاک؛ ۱ یعنی دست‌کم یک نمونه‌ی قدیمی حضور دارد
+                flockVersion: versions.length ? Math.min(...versions) : Protocol.PROTOCOL_VERSION,
+                features: this.getNegotiatedFeatures(),
+                incompatible: Array.from(this.incompatiblePeers.keys()),
+                signed: !!this.signer
+            };
+        }
+
         handleMessage(data) {
             if (!data || !data.type) return;
             const { type, senderId, targetId, payload, requestId } = data;
 
-            if (senderId) this.remoteMembers.set(senderId, Date.now());
+            if (senderId && this.roster.has(senderId)) this.roster.get(senderId).lastSeen = Date.now();
+
+            if (this.handoff && this.isLeaderState && LEADER_WORK_TYPES.has(type)) {
+                this.handoff.buffered.push(data);
+                return;
+            }
+            if (this.isLeaderState && RATE_LIMITED_TYPES.has(type) && !this.admitWork(senderId)) {
+                this.reject('rate-limit', data, `${senderId} is over the leader's memberRateLimit`);
+                return;
+            }
 
             switch (type) {
-                case 'claim': this.handleClaim(senderId); break;
-                case 'heartbeat': this.handleHeartbeat(senderId); break;
-                case 'resign': this.handleResign(senderId); break;
-                case 'request': if (this.isLeaderState) this.distributeRequest(data); break;
+                case 'claim': this.handleClaim(senderId, data.term, data.priority, data.handoff === true); break;
+                case 'heartbeat': this.handleHeartbeat(senderId, data.term, data.priority, data.handoff === true); break;
+                case 'resign': this.handleResign(senderId, data.term); break;
+                case 'request': if (this.isLeaderState) this.distributeRequest(data, this.members.get(this.leaderId)); break;
+                case 'member-request': if (this.members.has(targetId)) this.distributeRequest(data, this.members.get(targetId), true); break;
+                case 'request-cancel': this.abortInflight(senderId, requestId); break;
 
                 case 'message-to-leader':
                     if (this.isLeaderState) {
-                        this.distributeMessageToLeader(data);
+                        if (this.requestCache.remember(data)) this.distributeMessageToLeader(data);
+                        this.broadcastInternal({ type: 'response', targetId: senderId, requestId: requestId, payload: null });
+                    }
+                    break;
+
+                // چند پیام در یک بسته؛ هر کدام جدا تکرارزدایی می‌شود و کل بسته یک تأیید می‌گیرد
+                case 'message-batch':
+                    if (this.isLeaderState) {
+                        payload.items.forEach(item => {
+                            const delivery = { senderId, originId: item.originId, requestId: item.requestId, payload: item.data };
+                            if (this.requestCache.remember(delivery)) this.distributeMessageToLeader(delivery);
+                        });
                         this.broadcastInternal({ type: 'response', targetId: senderId, requestId: requestId, payload: null });
                     }
                     break;
 
                 case 'response': this.distributeResponse(data); break;
+                case 'request-cache': this.requestCache.import(payload.entries); break;
 
                 case 'broadcast':
                     this.notifyLocal(null, 'onMessage', {
@@ -92,6 +1004,10 @@
                     });
                     break;
 
+                case 'publish':
+                    this.members.forEach(m => { if (m.id !== senderId) m._deliverTopic(senderId, payload.topic, payload.data); });
+                    break;
+
                 case 'direct-message':
                     if (targetId) {
                         this.notifyLocal(targetId, 'onMessage', {
@@ -102,44 +1018,231 @@
                     }
                     break;
 
-                case 'request-leader-sync': if (this.isLeaderState) this.sendHeartbeat(); break;
+                case 'handoff-offer': this.handleHandoffOffer(data); break;
+                case 'handoff-accept':
+                    if (!this.handoff || targetId !== this.handoff.from) break;
+                    // ادعای جانشین ممکن است دیرتر از تأیید برسد؛ پیش از فرستادن کار بافرشده کنار می‌رویم
+                    if (data.term !== undefined) this.handleClaim(senderId, data.term, data.priority, true);
+                    this.finishHandoff(true);
+                    break;
+
+                case 'presence': this.handlePresence(payload.members, this.presenceProtocol(data)); break;
+                case 'member-leave': this.removeFromRoster(senderId); break;
+
+                case 'request-leader-sync':
+                    if (this.isLeaderState) {
+                        this.sendHeartbeat();
+                        this.store.broadcastSnapshot();
+                    }
+                    break;
+
+                case 'state-set':
+                    if (this.isLeaderState) {
+                        if (this.requestCache.remember(data)) this.store.applyWrite(data);
+                        this.broadcastInternal({ type: 'response', targetId: senderId, requestId: requestId, payload: null });
+                    }
+                    break;
+                case 'state-diff': this.store.applyDiff(data); break;
+                case 'state-snapshot': this.store.applySnapshot(data); break;
+                case 'state-sync-request': if (this.isLeaderState) this.store.broadcastSnapshot(); break;
+                case 'state-offer': if (this.isLeaderState) this.store.handleOffer(data); break;
+
+                case 'lock-acquire': if (this.isLeaderState) this.locks.acquire(data); break;
+                case 'lock-release': if (this.isLeaderState) this.locks.release(data); break;
+                case 'lock-renew': if (this.isLeaderState) this.locks.renew(data); break;
+                case 'lock-grant':
+                case 'lock-lost': {
+                    const m = this.members.get(targetId);
+                    if (m) m._resolveLock(requestId, type === 'lock-grant' && payload.granted, payload.name);
+                    break;
+                }
+
+                case 'role-claim': this.roles.handleClaim(senderId, payload); break;
+                case 'role-heartbeat': this.roles.handleHeartbeat(payload.roles); break;
+                case 'role-resign': this.roles.handleResign(senderId, payload); break;
+                case 'role-sync-request': this.roles.sendHeartbeat(); break;
             }
         }
 
-        handleClaim(candidateId) {
-            if (this.isLeaderState && candidateId !== this.leaderId) this.sendHeartbeat();
-            else this.setLeader(candidateId);
+        /**
+         * Deterministic election order: the higher term wins; within one term the higher
+         * advertised priority wins, then the lowest member id. Every instance applies the
+         * same rule to the values carried by the messages, so all of them converge on one
+         * leader no matter how claims and heartbeats interleave.
+         */
+        outranksLeader(candidateId, term, priority = 0) {
+            if (term !== this.term) return term > this.term;
+            if (!this.leaderId) return true;
+            if (priority !== this.leaderPriority) return priority > this.leaderPriority;
+            return candidateId < this.leaderId;
         }
 
-        handleHeartbeat(leaderId) {
+        handleClaim(candidateId, term = 0, priority = 0, handoff = false) {
+            if (this.outranksLeader(candidateId, term, priority)) {
+                this.term = term;
+                this.leaderPriority = priority;
+                this.lastHeartbeatTime = Date.now();
+                this.setLeader(candidateId, handoff);
+            } else if (this.isLeaderState && candidateId !== this.leaderId) {
+                // ادعای قدیمی یا ضعیف‌تر: با ضربان، رهبر فعلی را به مدعی اعلام می‌کنیم
+                this.sendHeartbeat();
+            }
+        }
+
+        handleHeartbeat(leaderId, term = 0, priority = 0, handoff = false) {
+            const isCurrent = (term === this.term && leaderId === this.leaderId);
+            if (!isCurrent && !this.outranksLeader(leaderId, term, priority)) {
+                // Stale leader still beating: answer so it steps down.
+                if (this.isLeaderState) this.sendHeartbeat();
+                return;
+            }
+            this.term = term;
+            this.leaderPriority = priority;
             this.lastHeartbeatTime = Date.now();
-            if (this.leaderId !== leaderId) this.setLeader(leaderId);
+            if (this.leaderId !== leaderId) this.setLeader(leaderId, handoff);
         }
 
-        handleResign(oldId) {
+        handleResign(oldId, term = 0) {
+            if (term < this.term) return;
             if (this.leaderId === oldId) {
+                // Clean handoff: whoever leads next must not re-run requests we already answered.
+                if (this.isLeaderState) {
+                    this.broadcastInternal({ type: 'request-cache', payload: { entries: this.requestCache.export(this.HEARTBEAT_TTL) } });
+                }
+                this.noteLeaderLost('resign');
+                this.resignedLeader = { id: oldId, at: Date.now() };
                 this.leaderId = null;
+                this.isLeaderState = false;
+                this.stopHeartbeatLoop();
+                this.members.forEach(m => m._syncJobs());
                 this.triggerElection();
             }
         }
 
-        setLeader(id) {
+        /**
+         * `viaHandoff` marks a leader that took over through a targeted handoff: the old
+         * Leader forwards the work it buffered, so members keep waiting on their pending
+         * requests instead of re-sending them.
+         */
+        setLeader(id, viaHandoff = false) {
             if (this.leaderId !== id) {
+                const previousLeaderId = this.leaderId;
                 this.leaderId = id;
+                this.outrankedSince = null;
                 const amILeader = this.members.has(id);
                 this.isLeaderState = amILeader;
 
+                // اگر این رهبری حاصل واگذاری هدفمند است، snapshot لیدر قبلی به جانشین داده می‌شود
+                const handoff = (this.pendingHandoff && this.pendingHandoff.to === id) ? this.pendingHandoff : null;
+                this.pendingHandoff = null;
+                const isHandoff = viaHandoff || !!handoff;
+                // پیش از نخستین ضربان، تا آن هم نشانه‌ی handoff را داشته باشد
+                if (isHandoff) this.handoffTerm = this.term;
+
                 if (amILeader) this.startHeartbeatLoop();
                 else this.stopHeartbeatLoop();
 
+                this.locks.reset(amILeader);
+                // لیدر جدید نسخه‌ی خودش را اعلام می‌کند؛ پیروهایی که نسخه‌ی جدیدتری دارند آن را پیشنهاد می‌دهند
+                if (amILeader) this.store.broadcastSnapshot();
+                this.store.leaderChanged(id);
+
+                if (id) {
+                    this.claimDeferredSince = null;
+                    const now = Date.now();
+                    const m = this.metrics;
+                    if (m.leaderlessSince !== null) m.leaderlessMs += now - m.leaderlessSince;
+                    m.leaderlessSince = null;
+                    // چند ادعا در یک دوره یک انتخابات است، نه چند تا
+                    if (m.electedTerm !== this.term) {
+                        m.electedTerm = this.term;
+                        m.elections++;
+                        m.lastElectionAt = now;
+                    }
+                    this.emitLocal('election', { leaderId: id, previousLeaderId, term: this.term, handoff: isHandoff });
+                }
+
                 this.members.forEach(m => {
                     if (m.callbacks.onLeadershipChange) {
-                        m.callbacks.onLeadershipChange(id);
+                        if (handoff && m.id === id) m.callbacks.onLeadershipChange(id, { from: handoff.from, state: handoff.state });
+                        else if (isHandoff) m.callbacks.onLeadershipChange(id, { from: previousLeaderId });
+                        else m.callbacks.onLeadershipChange(id);
                     }
+                    // قفل‌های در اختیار را به لیدر جدید اعلام می‌کنیم تا جدول قفل‌ها بازسازی شود
+                    if (id) m._renewLocks();
+                    m._syncJobs();
                 });
             }
         }
 
+        // --- Targeted Handoff ---
+
+        /**
+         * Coordinated handoff from the local leader `fromId` to `toId`. Work that reaches
+         * the old leader meanwhile is buffered; once the successor has claimed the next term
+         * and confirmed, the buffer is forwarded to it. Resolves false (and resumes) if the
+         * successor does not confirm within HEARTBEAT_TTL.
+         */
+        startHandoff(fromId, toId, state) {
+            if (this.handoff) return Promise.resolve(false);
+
+            return new Promise(resolve => {
+                this.handoff = {
+                    from: fromId,
+                    to: toId,
+                    buffered: [],
+                    resolve,
+                    timer: setTimeout(() => this.finishHandoff(false), this.HEARTBEAT_TTL)
+                };
+                this.broadcastInternal({
+                    type: 'handoff-offer',
+                    senderId: fromId,
+                    targetId: toId,
+                    term: this.term,
+                    payload: { state, requestCache: this.requestCache.export(this.HEARTBEAT_TTL) }
+                });
+            });
+        }
+
+        handleHandoffOffer(data) {
+            const successor = this.members.get(data.targetId);
+            if (!successor || data.term !== this.term || data.senderId !== this.leaderId) return;
+
+            this.requestCache.import(data.payload.requestCache || []);
+            this.pendingHandoff = { from: data.senderId, to: successor.id, state: data.payload.state };
+            const claim = { senderId: successor.id, term: this.term + 1, priority: successor.getPriority() };
+            // نشانه‌ی handoff به بقیه می‌گوید درخواست‌های در انتظار را دوباره نفرستند
+            this.broadcastInternal({ type: 'claim', ...claim, handoff: true });
+            this.broadcastInternal({ type: 'handoff-accept', targetId: data.senderId, ...claim });
+        }
+
+        finishHandoff(accepted) {
+            const handoff = this.handoff;
+            if (!handoff) return;
+            clearTimeout(handoff.timer);
+            this.handoff = null;
+
+            const from = this.members.get(handoff.from);
+            if (from) from._log('info', `🤝 Handoff to ${handoff.to} ${accepted ? 'confirmed' : 'timed out'}.`);
+            // پیام‌های نگه‌داشته‌شده دوباره منتشر می‌شوند تا لیدر فعلی (جانشین یا خودمان) پردازششان کند
+            handoff.buffered.forEach(data => this.broadcastInternal(data));
+            handoff.resolve(accepted);
+        }
+
+        // The best remote or local member to hand leadership to: highest priority, then lowest id.
+        pickSuccessor(excludeId) {
+            let best = null;
+            this.roster.forEach(record => {
+                if (record.id === excludeId) return;
+                const local = this.members.get(record.id);
+                const priority = local ? local.getPriority() : record.priority;
+                if (!best || priority > best.priority || (priority === best.priority && record.id < best.id)) {
+                    best = { id: record.id, priority };
+                }
+            });
+            return best ? best.id : null;
+        }
+
         // --- متد تنظیم استثنای موقت ---
         setTemporaryExclusion(id, durationMs) {
             clearTimeout(this.exclusionTimer);
@@ -150,9 +1253,34 @@
         }
         // ------------------------------
 
+        /**
+         * The first claim of a term wins whatever its priority, so a local candidate that a
+         * live remote member outranks holds its claim back and leaves that member the first
+         * move. The monitor retries every second; after HEARTBEAT_TTL the claim goes out anyway.
+         */
         triggerElection() {
+            if (this.electionsPaused) return;
             const candidate = this.getLocalCandidate();
-            if (candidate) this.broadcastInternal({ type: 'claim', senderId: candidate.id });
+            if (!candidate) return;
+
+            const priority = candidate.getPriority();
+            const now = Date.now();
+            if (this.isOutranked(priority, now)) {
+                if (this.claimDeferredSince === null) this.claimDeferredSince = now;
+                if (now - this.claimDeferredSince < this.HEARTBEAT_TTL) return;
+            }
+            this.claimDeferredSince = null;
+            this.broadcastInternal({ type: 'claim', senderId: candidate.id, term: this.term + 1, priority });
+        }
+
+        // A remote member heard from within HEARTBEAT_TTL that would win a claim against `priority`.
+        isOutranked(priority, now = Date.now()) {
+            const resigned = this.resignedLeader && now - this.resignedLeader.at < this.HEARTBEAT_TTL ? this.resignedLeader.id : null;
+            return Array.from(this.roster.values()).some(record => !this.members.has(record.id)
+                && record.id !== resigned
+                && !this.incompatiblePeers.has(record.id)
+                && now - record.lastSeen <= this.HEARTBEAT_TTL
+                && record.priority > priority);
         }
 
         startMonitoring() {
@@ -160,13 +1288,167 @@
                 const now = Date.now();
                 if (!this.leaderId || (now - this.lastHeartbeatTime > this.HEARTBEAT_TTL)) {
                     if (!this.isLeaderState) {
+                        this.noteLeaderLost('timeout');
                         this.leaderId = null;
                         this.triggerElection();
                     }
                 }
+                this.roles.check();
             }, 1000);
         }
 
+        // --- Presence ---
+
+        startPresenceLoop() {
+            this.presenceTimer = setInterval(() => {
+                this.sendPresence();
+                this.roles.sendHeartbeat();
+                const now = Date.now();
+                this.roster.forEach((record, id) => {
+                    if (!this.members.has(id) && now - record.lastSeen > this.HEARTBEAT_TTL) this.removeFromRoster(id);
+                });
+                this.incompatiblePeers.forEach((expiresAt, id) => { if (expiresAt <= now) this.incompatiblePeers.delete(id); });
+                this.checkLeaderMigration();
+            }, this.HEARTBEAT_INTERVAL);
+
+            if (typeof document !== 'undefined' && document.addEventListener) {
+                this.visibilityListener = () => {
+                    this.members.forEach(m => { m.metadata.visibilityState = document.visibilityState; });
+                    this.sendPresence();
+                };
+                document.addEventListener('visibilitychange', this.visibilityListener);
+            }
+        }
+
+        // One message announces every local member, so presence costs one broadcast per instance.
+        sendPresence() {
+            if (this.members.size === 0) return;
+            const members = Array.from(this.members.values()).map(m => ({ id: m.id, metadata: m.metadata, priority: m.getPriority() }));
+            this.broadcastInternal({ type: 'presence', payload: { members, features: Protocol.FEATURES, minVersion: Protocol.MIN_COMPATIBLE_VERSION } });
+        }
+
+        // `protocol` is what the sending instance advertised; instances without `_v` are version 1 and advertise no features.
+        handlePresence(members = [], protocol = { version: 1, features: [] }) {
+            const now = Date.now();
+            let discovered = false;
+            members.forEach(({ id, metadata, priority }) => {
+                const known = this.roster.has(id);
+                this.roster.set(id, {
+                    id, metadata: metadata || {}, priority: priority || 0, lastSeen: now,
+                    version: protocol.version, features: protocol.features
+                });
+                if (!known) {
+                    discovered = true;
+                    this.notifyMembers('onMemberJoin', id);
+                }
+            });
+            // عضو تازه ما را نمی‌شناسد: بدون منتظر ماندن برای دور بعد خودمان را معرفی می‌کنیم
+            if (discovered && !members.every(({ id }) => this.members.has(id))) this.sendPresence();
+        }
+
+        // The leader's own memberRateLimit applies to every sender.
+        admitWork(senderId) {
+            const leader = this.members.get(this.leaderId);
+            return !leader || this.rateLimiter.admit(senderId, leader.memberRateLimit, leader.memberRateBurst);
+        }
+
+        /**
+         * For transports that see remote instances drop off (relay). The report is only a
+         * hint (the relay cannot prove it, and anyone can connect to it): the leader and
+         * role holders are asked to speak up, and members that stay quiet for one heartbeat
+         * interval are forgotten with their roles and leadership, instead of after HEARTBEAT_TTL.
+         */
+        handlePeersGone(ids) {
+            const remote = ids.filter(id => typeof id === 'string' && !this.members.has(id));
+            if (remote.length === 0) return;
+            const since = Date.now();
+            const member = this.members.values().next().value;
+            if (member && remote.includes(this.leaderId)) this.broadcastInternal({ type: 'request-leader-sync', senderId: member.id });
+            this.broadcastInternal({ type: 'role-sync-request' });
+            setTimeout(() => this.forgetSilentPeers(remote, since), this.HEARTBEAT_INTERVAL * 1.5);
+        }
+
+        forgetSilentPeers(ids, since) {
+            if (this.members.size === 0) return;
+            ids.forEach(id => {
+                if (this.members.has(id)) return;
+                // از زمان گزارش رله چیزی از او رسیده است: هنوز زنده است
+                const record = this.roster.get(id);
+                if (record && record.lastSeen >= since) return;
+                if (id === this.leaderId && this.lastHeartbeatTime >= since) return;
+                this.roles.forgetHolder(id);
+                if (id === this.leaderId) {
+                    this.noteLeaderLost('disconnected');
+                    this.setLeader(null);
+                    this.triggerElection();
+                }
+                this.removeFromRoster(id);
+            });
+        }
+
+        removeFromRoster(id) {
+            if (!id || !this.roster.has(id)) return;
+            this.rateLimiter.forget(id);
+            const record = this.getMemberRecord(id);
+            this.roster.delete(id);
+            this.members.forEach(m => m._failRequestsTo(id));
+            this.notifyMembers('onMemberLeave', id, record);
+        }
+
+        getMemberRecord(id) {
+            const record = this.roster.get(id);
+            if (!record) return null;
+            return {
+                id, metadata: record.metadata, priority: record.priority, lastSeen: record.lastSeen,
+                isLeader: id === this.leaderId, protocolVersion: record.version
+            };
+        }
+
+        // Join/leave events go to every local member except the one they are about.
+        notifyMembers(event, id, record = this.getMemberRecord(id)) {
+            this.members.forEach(m => {
+                if (m.id === id || !m.callbacks[event]) return;
+                try {
+                    m.callbacks[event](record);
+                } catch (e) {
+                    m._log('error', `❌ An ${event} callback threw.`, { event, peerId: id, error: e });
+                }
+            });
+        }
+
+        getRoster() {
+            return Array.from(this.roster.keys()).map(id => this.getMemberRecord(id));
+        }
+
+        /**
+         * Hysteresis-damped leadership migration: the leader steps down only after another
+         * member has advertised a priority at least `priorityMargin` above its own for
+         * `migrateAfter` ms without interruption. Disabled while `migrateAfter` is 0.
+         */
+        checkLeaderMigration() {
+            const leader = this.isLeaderState ? this.members.get(this.leaderId) : null;
+            if (!leader || !leader.migrateAfter) {
+                this.outrankedSince = null;
+                return;
+            }
+
+            const threshold = leader.getPriority() + leader.priorityMargin;
+            const outranked = Array.from(this.roster.values()).some(record => {
+                if (record.id === leader.id) return false;
+                const local = this.members.get(record.id);
+                return (local ? local.getPriority() : record.priority) >= threshold;
+            });
+
+            if (!outranked) {
+                this.outrankedSince = null;
+            } else if (this.outrankedSince === null) {
+                this.outrankedSince = Date.now();
+            } else if (Date.now() - this.outrankedSince >= leader.migrateAfter) {
+                this.outrankedSince = null;
+                leader.cedeLeadership();
+            }
+        }
+
         startHeartbeatLoop() {
             if (this.heartbeatTimer) clearInterval(this.heartbeatTimer);
             this.sendHeartbeat();
@@ -178,11 +1460,16 @@
         }
         sendHeartbeat() {
             const me = this.getLocalCandidate();
-            if (me) this.broadcastInternal({ type: 'heartbeat', senderId: me.id });
+            if (!me) return;
+            const beat = { type: 'heartbeat', senderId: me.id, term: this.term, priority: me.getPriority() };
+            if (this.handoffTerm === this.term) beat.handoff = true;
+            this.broadcastInternal(beat);
         }
 
         register(member) {
             this.members.set(member.id, member);
+            this.handlePresence([{ id: member.id, metadata: member.metadata, priority: member.getPriority() }], this.localProtocol());
+            this.sendPresence();
 
             // FIX: اطلاع‌رسانی اولیه به عضو جدید
             if (this.leaderId) {
@@ -200,6 +1487,9 @@
         unregister(id) {
             const resigningMember = this.members.get(id);
             this.members.delete(id);
+            this.roles.releaseAll(id);
+            this.removeFromRoster(id);
+            this.broadcastInternal({ type: 'member-leave', senderId: id });
 
             if (this.leaderId === id) {
                 // FIX: صریحاً لیدر مستعفی را مطلع می‌کنیم
@@ -208,8 +1498,33 @@
                 }
 
                 // FIX: فقط پیام استعفا را منتشر می‌کنیم و به handleResign اجازه می‌دهیم انتخابات را آغاز کند.
-                this.broadcastInternal({ type: 'resign', senderId: id });
+                this.broadcastInternal({ type: 'resign', senderId: id, term: this.term });
             }
+
+            if (this.members.size === 0) this.destroy();
+        }
+
+        /**
+         * The last local member has left: timers stop, the transport is closed once the
+         * goodbye messages are out, and the next member on this channel gets a fresh instance.
+         */
+        destroy() {
+            if (this.registry.get(this.CHANNEL_NAME) === this) this.registry.delete(this.CHANNEL_NAME);
+            clearInterval(this.checkLeaderTimer);
+            clearInterval(this.presenceTimer);
+            clearTimeout(this.exclusionTimer);
+            clearTimeout(this.resumeElectionsTimer);
+            this.stopHeartbeatLoop();
+            this.finishHandoff(false);
+            this.locks.reset(false);
+            if (this.visibilityListener) document.removeEventListener('visibilitychange', this.visibilityListener);
+
+            // پیام‌های امضانشده همین حالا رفته‌اند؛ امضاشده‌ها در صف outgoing هستند
+            this.outgoing.then(() => {
+                const transport = this.transport;
+                this.transport = null;
+                if (transport && transport.close) transport.close();
+            });
         }
 
         // --- Modified: جستجوی کاندیدا با در نظر گرفتن استثنا ---
@@ -220,34 +1535,110 @@
                 return this.members.get(this.leaderId);
             }
 
-            // عضو غیرلیدر را پیدا می‌کنیم که مستثنی نشده باشد.
+            // از میان اعضای مستثنی‌نشده، عضو با بالاترین اولویت را انتخاب می‌کنیم.
+            let best = null;
+            let bestPriority = -Infinity;
             for (const member of this.members.values()) {
-                if (member.id !== this.excludedCandidateId) {
-                    return member;
+                if (member.id === this.excludedCandidateId) continue;
+                const priority = member.getPriority();
+                if (priority > bestPriority) {
+                    best = member;
+                    bestPriority = priority;
                 }
             }
 
-            return null;
+            return best;
         }
         // ----------------------------------------------------
 
-        distributeRequest(data) {
-            const leader = this.members.get(this.leaderId);
-            if (leader && leader.callbacks.onRequest) {
-                leader.callbacks.onRequest(data.payload, (res) => {
-                    this.broadcastInternal({ type: 'response', targetId: data.senderId, requestId: data.requestId, payload: res });
-                });
+        /**
+         * Runs the leader's onRequest handler. The handler answers with `reply(res)` or
+         * `replyError(err)`, or by returning a promise; a thrown error or rejected promise
+         * is sent back as an error. Only the first answer is delivered.
+         * The fourth argument carries an AbortSignal that fires if the requester cancels,
+         * and `progress(chunk)` to stream intermediate results before the final answer.
+         * `handler` is the leader, or the target member of a direct request (`direct`).
+         */
+        distributeRequest(data, handler, direct = false) {
+            if (!handler) return;
+            if (!handler.callbacks.onRequest) {
+                // درخواست لیدر بعداً دوباره فرستاده می‌شود، اما درخواست مستقیم جای دیگری برای رفتن ندارد
+                if (direct) {
+                    const error = Errors.serializeError(new Errors.FlockError(`Member ${handler.id} has no onRequest handler`, 'ENOHANDLER'));
+                    this.broadcastInternal({ type: 'response', targetId: data.senderId, requestId: data.requestId, payload: null, error });
+                }
+                return;
+            }
+
+            const cacheKey = this.requestCache.key(data);
+            const seen = this.requestCache.get(cacheKey);
+            if (seen) {
+                // تکراری: اگر تمام شده پاسخ ذخیره‌شده را دوباره می‌فرستیم، وگرنه همان پاسخ در راه به آن هم می‌رسد
+                if (seen.status === 'done') {
+                    this.broadcastInternal({ type: 'response', targetId: data.senderId, requestId: data.requestId, ...seen.response });
+                }
+                return;
+            }
+            this.requestCache.set(cacheKey, { status: 'inflight' });
+
+            const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+            let replied = false;
+            const context = {
+                requestId: data.requestId,
+                senderId: data.originId || data.senderId,
+                direct,
+                signal: controller ? controller.signal : undefined,
+                progress: (chunk) => {
+                    if (replied || (controller && controller.signal.aborted)) return;
+                    this.broadcastInternal({ type: 'response', targetId: data.senderId, requestId: data.requestId, payload: chunk, isFinal: false });
+                }
+            };
+            const inflightKey = `${data.senderId}:${data.requestId}`;
+            if (controller) this.inflightRequests.set(inflightKey, controller);
+
+            const send = (res, isError, err) => {
+                if (replied) return;
+                replied = true;
+                this.inflightRequests.delete(inflightKey);
+                if (controller && controller.signal.aborted) {
+                    this.requestCache.delete(cacheKey);
+                    return;
+                }
+                const response = { payload: res };
+                // replyError() یا Promise.reject() بدون دلیل هم باید درخواست را رد کند
+                if (isError) response.error = Errors.serializeError(err !== undefined && err !== null ? err : new Errors.FlockError('Request handler failed without a reason'));
+                this.requestCache.set(cacheKey, { status: 'done', response });
+                this.broadcastInternal({ type: 'response', targetId: data.senderId, requestId: data.requestId, ...response });
+            };
+            const reply = (res) => send(res, false);
+            const replyError = (err) => send(null, true, err);
+
+            try {
+                const result = handler.callbacks.onRequest(data.payload, reply, replyError, context);
+                if (result && typeof result.then === 'function') {
+                    result.then(res => { if (res !== undefined) reply(res); }, replyError);
+                }
+            } catch (err) {
+                replyError(err);
             }
         }
+        abortInflight(senderId, requestId) {
+            const key = `${senderId}:${requestId}`;
+            const controller = this.inflightRequests.get(key);
+            if (!controller) return;
+            this.inflightRequests.delete(key);
+            controller.abort();
+        }
+        // موارد تحویل‌گرفته از صندوق خروجی به نام فرستنده‌ی اصلی‌شان می‌رسند، نه عضوی که آن‌ها را رسانده
         distributeMessageToLeader(data) {
             const leader = this.members.get(this.leaderId);
             if (leader && leader.callbacks.onMessage) {
-                leader.callbacks.onMessage({ senderId: data.senderId, payload: data.payload, type: 'leader-message' });
+                leader.callbacks.onMessage({ senderId: data.originId || data.senderId, requestId: data.requestId, payload: data.payload, type: 'leader-message' });
             }
         }
         distributeResponse(data) {
             const m = this.members.get(data.targetId);
-            if (m) m.resolvePending(data.requestId, data.payload, true);
+            if (m) m.resolvePending(data.requestId, data.payload, data.isFinal !== false, data.error);
         }
         notifyLocal(id, event, data) {
             if (id) {
@@ -257,20 +1648,35 @@
                 this.members.forEach(m => { if (m.callbacks[event]) m.callbacks[event](data); });
             }
         }
-        getGlobalMembers() {
-            const now = Date.now();
-            const activeRemote = Array.from(this.remoteMembers.entries())
-                .filter(([_, t]) => now - t < this.HEARTBEAT_TTL).map(([id]) => id);
-            return [...new Set([...activeRemote, ...Array.from(this.members.keys())])];
-        }
     }
 
+    // Built-in factories of one `kind` (over the same `ports`, if bound to any) are the same transport; anything else only equals itself.
+    function sameTransport(a, b) {
+        if (a === b) return true;
+        if (!a || !b || !a.kind || a.kind !== b.kind) return false;
+        const portsA = a.ports || [];
+        const portsB = b.ports || [];
+        return portsA.length === portsB.length && portsA.every(port => portsB.includes(port));
+    }
+
+    /**
+     * One singleton per channel. `options.scope` (a Map) replaces the global registry, so
+     * every scope behaves like a separate tab or process (used by FlockTesting.js).
+     */
     function getFlockSingletonInstance(options = {}) {
         const channelKey = options.channelName || 'flock_channel_v1';
-        if (!instances.has(channelKey)) {
-            instances.set(channelKey, new FlockSingleton(options));
+        const registry = options.scope || instances;
+        if (!registry.has(channelKey)) {
+            registry.set(channelKey, new FlockSingleton(options));
+            return registry.get(channelKey);
+        }
+
+        // همه‌ی اعضای یک کانال در یک نمونه از یک ترنسپورت استفاده می‌کنند: اولین عضو آن را تعیین می‌کند
+        const instance = registry.get(channelKey);
+        if (options.transport && !sameTransport(options.transport, instance.requestedTransport)) {
+            console.warn(`FlockSingleton Warning: channel "${channelKey}" already uses the transport of its first member; the transport passed to this member is ignored.`);
         }
-        return instances.get(channelKey);
+        return instance;
     }
 
     if (typeof module !== 'undefined' && module.exports) {
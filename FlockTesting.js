@@ -0,0 +1,341 @@
+/**
+ * FlockTesting.js
+ * Deterministic simulation harness: a virtual clock, an in-memory network with
+ * controllable latency, loss, reordering and partitions, and simulated tabs that each
+ * get their own FlockSingleton. Lets elections, failover and retries be tested in one
+ * process without waiting for real time to pass.
+ *
+ *   const sim = FlockMember.testing.createSimulation({ seed: 7, latency: [5, 40] });
+ *   sim.install();
+ *   const a = sim.createTab('a').createMember({ channelName: 'app' });
+ *   const b = sim.createTab('b').createMember({ channelName: 'app' });
+ *   await sim.tick(3000);
+ *   ...
+ *   sim.uninstall();
+ */
+
+(function() {
+    let FlockMember;
+
+    if (typeof require === 'function' && typeof module !== 'undefined') {
+        try {
+            FlockMember = require('./FlockMember.js');
+        } catch (e) {
+            console.error("FlockTesting Error: Could not require './FlockMember.js'.");
+        }
+    } else if (typeof window !== 'undefined') {
+        if (window.FlockMember) {
+            FlockMember = window.FlockMember;
+        } else {
+            throw new Error("FlockTesting Error: FlockMember.js must be loaded BEFORE FlockTesting.js");
+        }
+    }
+
+    // نسخه‌های واقعی، پیش از آن‌که ساعت مجازی جایشان را بگیرد
+    const realSetTimeout = setTimeout;
+    const realSetImmediate = typeof setImmediate === 'function' ? setImmediate : null;
+
+    // Lets pending promise callbacks run before the next virtual timer fires.
+    function flushMicrotasks() {
+        return new Promise(resolve => (realSetImmediate ? realSetImmediate(resolve) : realSetTimeout(resolve, 0)));
+    }
+
+    // mulberry32: small seeded PRNG, so every run of a simulation makes the same choices.
+    function createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Replaces setTimeout/setInterval/clearTimeout/clearInterval and Date.now while
+     * installed. Time only moves through `tick()`. Every timer remembers the `owner`
+     * (simulated tab) that was active when it was created, or whose timer's promise
+     * continuations created it, so a crashed tab's timers can be cancelled together.
+     */
+    class VirtualClock {
+        constructor(start = 0) {
+            this.now = start;
+            this.timers = new Map();
+            this.nextId = 1;
+            this.owner = null;
+            this.saved = null;
+            // tickهای هم‌زمان پشت سر هم اجرا می‌شوند تا زمان فقط رو به جلو برود
+            this.queue = Promise.resolve();
+        }
+
+        install() {
+            if (this.saved) return;
+            const g = globalThis;
+            this.saved = {
+                setTimeout: g.setTimeout,
+                setInterval: g.setInterval,
+                clearTimeout: g.clearTimeout,
+                clearInterval: g.clearInterval,
+                dateNow: Date.now
+            };
+            g.setTimeout = (fn, ms, ...args) => this.schedule(fn, ms, args, null);
+            g.setInterval = (fn, ms, ...args) => this.schedule(fn, ms, args, Math.max(1, Number(ms) || 0));
+            g.clearTimeout = g.clearInterval = (handle) => this.clear(handle);
+            Date.now = () => this.now;
+        }
+
+        uninstall() {
+            if (!this.saved) return;
+            const g = globalThis;
+            g.setTimeout = this.saved.setTimeout;
+            g.setInterval = this.saved.setInterval;
+            g.clearTimeout = this.saved.clearTimeout;
+            g.clearInterval = this.saved.clearInterval;
+            Date.now = this.saved.dateNow;
+            this.saved = null;
+        }
+
+        schedule(fn, ms, args, interval) {
+            const id = this.nextId++;
+            this.timers.set(id, { id, fn, args, interval, owner: this.owner, at: this.now + Math.max(0, Number(ms) || 0) });
+            // شبیه Timeout در Node، تا کدی که unref/ref صدا می‌زند هم کار کند
+            return { id, ref() { return this; }, unref() { return this; }, hasRef: () => true, [Symbol.toPrimitive]: () => id };
+        }
+
+        clear(handle) {
+            if (handle === null || handle === undefined) return;
+            this.timers.delete(typeof handle === 'object' ? handle.id : handle);
+        }
+
+        // Cancels every timer created on behalf of `owner`.
+        clearOwner(owner) {
+            this.timers.forEach((timer, id) => { if (timer.owner === owner) this.timers.delete(id); });
+        }
+
+        // Runs `fn` as `owner`: the timers it creates belong to that owner.
+        runAs(owner, fn) {
+            const previous = this.owner;
+            this.owner = owner;
+            try { return fn(); } finally { this.owner = previous; }
+        }
+
+        nextTimer(limit) {
+            let next = null;
+            this.timers.forEach(timer => {
+                if (timer.at > limit) return;
+                if (!next || timer.at < next.at || (timer.at === next.at && timer.id < next.id)) next = timer;
+            });
+            return next;
+        }
+
+        /**
+         * Advances virtual time by `ms`, firing due timers in order (ties by creation order).
+         * Overlapping calls run one after another.
+         */
+        tick(ms = 0) {
+            const run = this.queue.then(() => this.advance(ms));
+            this.queue = run.catch(() => {});
+            return run;
+        }
+
+        async advance(ms) {
+            const target = this.now + Math.max(0, ms);
+            await flushMicrotasks();
+            let timer;
+            while ((timer = this.nextTimer(target))) {
+                this.now = timer.at;
+                if (timer.interval) timer.at += timer.interval;
+                else this.timers.delete(timer.id);
+
+                // promise continuations of the timer belong to its owner too, so a crash cancels their timers
+                const previous = this.owner;
+                this.owner = timer.owner;
+                try {
+                    timer.fn(...timer.args);
+                } catch (e) {
+                    console.error(e);
+                }
+                await flushMicrotasks();
+                this.owner = previous;
+            }
+            this.now = target;
+        }
+    }
+
+    /**
+     * One simulated browser tab or process. It has its own singleton registry, so
+     * members created in different tabs only meet through the simulated network.
+     */
+    class SimulatedTab {
+        constructor(sim, name) {
+            this.sim = sim;
+            this.name = name;
+            this.scope = new Map();
+            this.members = [];
+            this.crashed = false;
+            this.transport = (channelName) => sim.connect(this, channelName);
+        }
+
+        createMember(options = {}) {
+            if (!this.sim.clock.saved) throw new Error("FlockTesting Error: call sim.install() before creating members.");
+            if (this.crashed) throw new Error(`FlockTesting Error: tab "${this.name}" has crashed.`);
+            const member = this.sim.clock.runAs(this, () => new FlockMember({ ...options, scope: this.scope, transport: this.transport }));
+            this.members.push(member);
+            return member;
+        }
+
+        // Runs `fn` inside this tab, so timers it creates die with the tab.
+        run(fn) { return this.sim.clock.runAs(this, fn); }
+
+        // Graceful shutdown: every member resigns, as on a normal page unload.
+        close() {
+            this.run(() => this.members.forEach(m => m.resign()));
+        }
+
+        // Abrupt death: no goodbye messages, the tab's timers stop and its traffic is dropped.
+        crash() {
+            this.crashed = true;
+            this.sim.clock.clearOwner(this);
+        }
+    }
+
+    class Simulation {
+        constructor(options = {}) {
+            this.seed = options.seed !== undefined ? options.seed : 1;
+            this.random = createRandom(this.seed);
+            this.clock = new VirtualClock(options.start || 0);
+            this.setLatency(options.latency !== undefined ? options.latency : 1);
+            this.loss = options.loss || 0;
+            // reorder: false یعنی پیام‌های هر مسیر به ترتیب ارسال می‌رسند
+            this.reorder = options.reorder !== false;
+
+            this.tabs = [];
+            this.connections = new Set();
+            this.groups = null;
+            this.lastDelivery = new Map();
+            this.stats = { sent: 0, delivered: 0, dropped: 0 };
+            this.savedRandom = null;
+        }
+
+        // Installs the virtual clock and a seeded Math.random (member and request ids use it).
+        install() {
+            this.clock.install();
+            if (!this.savedRandom) {
+                this.savedRandom = Math.random;
+                Math.random = this.random;
+            }
+        }
+
+        uninstall() {
+            this.clock.uninstall();
+            if (this.savedRandom) {
+                Math.random = this.savedRandom;
+                this.savedRandom = null;
+            }
+        }
+
+        createTab(name = `tab${this.tabs.length + 1}`) {
+            const tab = new SimulatedTab(this, name);
+            this.tabs.push(tab);
+            return tab;
+        }
+
+        tick(ms) { return this.clock.tick(ms); }
+
+        /** Advances time in `step` ms slices until `predicate()` is true; rejects after `timeout` ms. */
+        async waitFor(predicate, options = {}) {
+            const { timeout = 30000, step = 10 } = options;
+            const start = this.clock.now;
+            while (!predicate()) {
+                if (this.clock.now - start >= timeout) throw new Error(`FlockTesting Error: condition not met within ${timeout}ms`);
+                await this.tick(step);
+            }
+            return this.clock.now - start;
+        }
+
+        // --- Network conditions ---
+
+        // A fixed delay in ms, or [min, max] for a random delay per message.
+        setLatency(latency) { this.latency = Array.isArray(latency) ? latency : [latency, latency]; }
+        setLoss(probability) { this.loss = probability; }
+
+        /**
+         * Splits the tabs into groups that cannot reach each other, e.g.
+         * `partition([a], [b, c])`. Tabs not listed form one more group together.
+         */
+        partition(...groups) {
+            this.groups = new Map();
+            groups.forEach((group, i) => group.forEach(tab => this.groups.set(tab, i)));
+        }
+
+        heal() { this.groups = null; }
+
+        reachable(from, to) {
+            if (from.crashed || to.crashed) return false;
+            if (!this.groups) return true;
+            const a = this.groups.has(from) ? this.groups.get(from) : -1;
+            const b = this.groups.has(to) ? this.groups.get(to) : -1;
+            return a === b;
+        }
+
+        // --- Transport ---
+
+        connect(tab, channelName) {
+            const connection = { tab, channelName, handler: null };
+            this.connections.add(connection);
+            return {
+                send: (message) => this.send(connection, message),
+                onMessage: (cb) => { connection.handler = cb; },
+                close: () => this.connections.delete(connection)
+            };
+        }
+
+        send(from, message) {
+            if (from.tab.crashed) return;
+            const raw = JSON.stringify(message);
+            this.connections.forEach(to => {
+                if (to === from || to.tab === from.tab || to.channelName !== from.channelName) return;
+                this.stats.sent++;
+                if (!this.reachable(from.tab, to.tab) || (this.loss > 0 && this.random() < this.loss)) {
+                    this.stats.dropped++;
+                    return;
+                }
+
+                const [min, max] = this.latency;
+                let at = this.clock.now + min + Math.floor(this.random() * (max - min + 1));
+                if (!this.reorder) {
+                    const last = this.lastDelivery.get(from) || new Map();
+                    this.lastDelivery.set(from, last);
+                    at = Math.max(at, last.get(to) || 0);
+                    last.set(to, at);
+                }
+
+                // تحویل از طرف تب گیرنده انجام می‌شود تا تایمرهایی که می‌سازد مال همان تب باشد
+                this.clock.runAs(to.tab, () => setTimeout(() => {
+                    if (!this.connections.has(to) || !to.handler || !this.reachable(from.tab, to.tab)) {
+                        this.stats.dropped++;
+                        return;
+                    }
+                    this.stats.delivered++;
+                    to.handler(JSON.parse(raw));
+                }, at - this.clock.now));
+            });
+        }
+    }
+
+    function createSimulation(options = {}) {
+        return new Simulation(options);
+    }
+
+    const FlockTesting = {
+        VirtualClock,
+        createSimulation
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = FlockTesting;
+    } else if (typeof window !== 'undefined') {
+        window.FlockTesting = FlockTesting;
+    }
+})();
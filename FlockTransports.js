@@ -0,0 +1,512 @@
+/**
+ * FlockTransports.js
+ * Transport adapters that carry FlockSingleton messages between instances.
+ *
+ * A transport is any object with this shape:
+ *   send(message)       Deliver `message` to every OTHER instance on the channel (never back to the sender).
+ *   onMessage(handler)  Register the receive handler, called as handler(message).
+ *   close()             (Optional) Release listeners, ports and channels; called when the last
+ *                       member of the instance resigns.
+ *   onStatus(handler)   (Optional) For transports that can lose their connection: called with
+ *                       'connected' or 'disconnected', and once right away with the current status.
+ *   onLeave(handler)    (Optional) For transports that see other instances drop off: called with
+ *                       the ids of the members that are gone.
+ *
+ * The `transport` option of FlockMember accepts a transport object or a factory
+ * `(channelName) => transport`. Every built-in below returns such a factory, tagged with
+ * a `kind` (e.g. 'cluster' or 'relay:tcp://host:7400') so that two factories of the same
+ * kind count as the same transport. Factories bound to ports (workerThreads) also list
+ * them in `ports`, and only count as the same over the same ports.
+ */
+
+(function() {
+    // کلید پاکت پیام‌ها در ترنسپورت‌های مبتنی بر پورت (برای جدا کردن کانال‌ها)
+    const ENVELOPE_KEY = '__flock';
+
+    function withKind(kind, factory) {
+        factory.kind = kind;
+        return factory;
+    }
+
+    // --- Browser ---
+
+    function broadcastChannel() {
+        return withKind('broadcastChannel', (channelName) => {
+            const channel = new BroadcastChannel(channelName);
+            let handler = null;
+            channel.onmessage = (event) => { if (handler) handler(event.data); };
+
+            return {
+                send: (message) => channel.postMessage(message),
+                onMessage: (cb) => { handler = cb; },
+                close: () => channel.close()
+            };
+        });
+    }
+
+    /**
+     * Fallback for browsers without BroadcastChannel, built as a message log on top of the
+     * `storage` event. Every sender writes to its own ring buffer of `maxEntries` keys
+     * (`<channel>:<sender>:<slot>`, with the channel name URI-encoded so it cannot contain
+     * the delimiter), each entry carrying a sequence number, so messages sent
+     * in the same tick never overwrite each other. Receivers deliver each sender's messages
+     * in order: a gap is filled by reading the missing entries back from the log, and
+     * skipped if they are gone after `gapTimeout` ms. Entries older than `ttl` ms are
+     * collected by every tab, including those left behind by closed tabs.
+     */
+    function localStorageTransport(options = {}) {
+        const { ttl = 5000, maxEntries = 256, gapTimeout = 100 } = options;
+
+        return withKind('localStorage', (channelName) => {
+            const storage = options.storage || window.localStorage;
+            // کانال 'a' نباید کلیدهای کانال 'a:b' را بخواند یا پاک کند
+            const prefix = `${encodeURIComponent(channelName)}:`;
+            const senderKey = Math.random().toString(36).substr(2, 9);
+            let nextSeq = 0;
+            let handler = null;
+            // وضعیت دریافت از هر فرستنده: { next, pending: Map(seq -> message), timer, lastSeen }
+            const senders = new Map();
+
+            const slotKey = (sender, seq) => `${prefix}${sender}:${seq % maxEntries}`;
+            // The sender of one of this channel's log keys, or null for any other key.
+            const keySender = (key) => {
+                if (!key || !key.startsWith(prefix)) return null;
+                const parts = key.slice(prefix.length).split(':');
+                return parts.length === 2 && parts[0] && /^\d+$/.test(parts[1]) ? parts[0] : null;
+            };
+            const readEntry = (sender, seq) => {
+                try {
+                    const entry = JSON.parse(storage.getItem(slotKey(sender, seq)));
+                    return entry && entry.seq === seq ? entry : null;
+                } catch (e) { return null; }
+            };
+
+            const drain = (sender, state) => {
+                while (state.pending.has(state.next)) {
+                    const message = state.pending.get(state.next);
+                    state.pending.delete(state.next);
+                    state.next++;
+                    if (handler) handler(message);
+                }
+                if (state.pending.size > 0 && !state.timer) {
+                    state.timer = setTimeout(() => recover(sender, state), gapTimeout);
+                }
+            };
+
+            // Reads every gap back from the log; an entry that is not there was lost for good and is skipped.
+            const recover = (sender, state) => {
+                state.timer = null;
+                if (state.pending.size === 0) return;
+                const last = Math.max(...state.pending.keys());
+                for (let seq = state.next; seq < last; seq++) {
+                    if (state.pending.has(seq)) continue;
+                    const entry = readEntry(sender, seq);
+                    if (entry) state.pending.set(seq, entry.message);
+                }
+                Array.from(state.pending.keys()).sort((a, b) => a - b).forEach(seq => {
+                    const message = state.pending.get(seq);
+                    state.pending.delete(seq);
+                    state.next = seq + 1;
+                    if (handler) handler(message);
+                });
+            };
+
+            const receive = (sender, entry) => {
+                let state = senders.get(sender);
+                if (!state) {
+                    state = { next: entry.seq, pending: new Map(), timer: null, lastSeen: 0 };
+                    senders.set(sender, state);
+                }
+                state.lastSeen = Date.now();
+                if (entry.seq < state.next) return;
+                state.pending.set(entry.seq, entry.message);
+                drain(sender, state);
+            };
+
+            const listener = (event) => {
+                const sender = keySender(event.key);
+                if (!sender || !event.newValue || sender === senderKey) return;
+                try { receive(sender, JSON.parse(event.newValue)); } catch (e) { /* Not ours */ }
+            };
+            window.addEventListener('storage', listener);
+
+            // all=true (storage full or closing) also drops our own entries that have not expired yet
+            const collect = (all = false) => {
+                const now = Date.now();
+                const keys = [];
+                for (let i = 0; i < storage.length; i++) {
+                    const key = storage.key(i);
+                    if (keySender(key)) keys.push(key);
+                }
+                keys.forEach(key => {
+                    const own = keySender(key) === senderKey;
+                    try {
+                        const entry = JSON.parse(storage.getItem(key));
+                        if ((all && own) || !entry || now - entry.ts > ttl) storage.removeItem(key);
+                    } catch (e) { /* Not ours */ }
+                });
+                senders.forEach((state, sender) => {
+                    if (state.pending.size === 0 && now - state.lastSeen > ttl * 2) senders.delete(sender);
+                });
+            };
+            const gcTimer = setInterval(() => collect(), ttl);
+
+            return {
+                send: (message) => {
+                    const seq = nextSeq++;
+                    const key = slotKey(senderKey, seq);
+                    const value = JSON.stringify({ seq, ts: Date.now(), message });
+                    try {
+                        storage.setItem(key, value);
+                    } catch (e) {
+                        // احتمالاً سهمیه‌ی localStorage پر شده است
+                        collect(true);
+                        try { storage.setItem(key, value); } catch (err) { console.error("FlockTransports Error: localStorage is full, message dropped.", err); }
+                    }
+                },
+                onMessage: (cb) => { handler = cb; },
+                close: () => {
+                    window.removeEventListener('storage', listener);
+                    clearInterval(gcTimer);
+                    senders.forEach(state => clearTimeout(state.timer));
+                    collect(true);
+                }
+            };
+        });
+    }
+
+    // --- Node ---
+
+    /**
+     * Wraps a "link" (anything that can post and receive envelopes) into a
+     * transport scoped to one channel.
+     */
+    function linkTransport(channelName, link) {
+        let handler = null;
+        const unsubscribe = link.subscribe((envelope) => {
+            if (envelope && envelope[ENVELOPE_KEY] === channelName && handler) handler(envelope.message);
+        });
+
+        return {
+            send: (message) => link.post({ [ENVELOPE_KEY]: channelName, message }),
+            onMessage: (cb) => { handler = cb; },
+            close: () => unsubscribe()
+        };
+    }
+
+    /**
+     * Star topology: every envelope that arrives on one port is forwarded to all
+     * other ports, so the hub thread/process connects peers that cannot see each other.
+     * The hub only listens on its ports while it has a link or a second port to deliver
+     * to: a listener keeps the port (and so a worker's `parentPort`) alive.
+     */
+    class RelayHub {
+        constructor() {
+            // port -> its 'message' listener, or null while the hub is not listening
+            this.ports = new Map();
+            this.listeners = new Set();
+        }
+
+        addPort(port) {
+            if (this.ports.has(port)) return;
+            this.ports.set(port, null);
+            const remove = () => {
+                const onMessage = this.ports.get(port);
+                if (onMessage) port.removeListener('message', onMessage);
+                this.ports.delete(port);
+                this.updateListening();
+            };
+            port.once('exit', remove);
+            port.once('close', remove);
+            this.updateListening();
+        }
+
+        updateListening() {
+            const needed = this.listeners.size > 0 || this.ports.size > 1;
+            this.ports.forEach((onMessage, port) => {
+                if (needed && !onMessage) {
+                    const listener = (envelope) => this.dispatch(port, envelope);
+                    port.on('message', listener);
+                    this.ports.set(port, listener);
+                } else if (!needed && onMessage) {
+                    port.removeListener('message', onMessage);
+                    this.ports.set(port, null);
+                }
+            });
+        }
+
+        dispatch(from, envelope) {
+            if (!envelope || !envelope[ENVELOPE_KEY]) return;
+            this.ports.forEach((_, p) => { if (p !== from) p.postMessage(envelope); });
+            this.listeners.forEach(l => l(envelope));
+        }
+
+        post(envelope) {
+            this.ports.forEach((_, p) => p.postMessage(envelope));
+        }
+
+        subscribe(listener) {
+            this.listeners.add(listener);
+            this.updateListening();
+            return () => {
+                this.listeners.delete(listener);
+                this.updateListening();
+            };
+        }
+    }
+
+    /**
+     * worker_threads adapter.
+     * Inside a worker it talks to `parentPort` by default. On the main thread pass
+     * the Worker objects (or MessagePorts) in `options.ports`, or add them later
+     * with `factory.addPort(worker)`; the main thread relays between them.
+     */
+    function workerThreads(options = {}) {
+        const hub = new RelayHub();
+        let ports = options.ports;
+        if (!ports) {
+            const { parentPort } = require('worker_threads');
+            ports = parentPort ? [parentPort] : [];
+        }
+        ports.forEach(p => hub.addPort(p));
+
+        const factory = withKind('workerThreads', (channelName) => linkTransport(channelName, hub));
+        factory.addPort = (port) => hub.addPort(port);
+        // دو factory از این نوع فقط با پورت‌های یکسان یک ترنسپورت‌اند
+        Object.defineProperty(factory, 'ports', { get: () => Array.from(hub.ports.keys()) });
+        return factory;
+    }
+
+    // ریله‌ی پروسه‌ی اصلی cluster فقط یک بار ساخته می‌شود و بین همه‌ی کانال‌ها مشترک است
+    let clusterHub = null;
+
+    /**
+     * Installs the cluster primary relay without joining the flock. Called
+     * automatically when the primary itself uses the `cluster()` transport.
+     */
+    function clusterRelay() {
+        const cluster = require('cluster');
+        if (!(cluster.isPrimary || cluster.isMaster)) return null;
+        if (clusterHub) return clusterHub;
+
+        const workers = () => Object.values(cluster.workers || {}).filter(w => w.isConnected());
+        const listeners = new Set();
+
+        clusterHub = {
+            dispatch: (from, envelope) => {
+                if (!envelope || !envelope[ENVELOPE_KEY]) return;
+                workers().forEach(w => { if (w !== from) w.send(envelope); });
+                listeners.forEach(l => l(envelope));
+            },
+            post: (envelope) => workers().forEach(w => w.send(envelope)),
+            subscribe: (listener) => {
+                listeners.add(listener);
+                return () => listeners.delete(listener);
+            }
+        };
+        cluster.on('message', (worker, envelope) => clusterHub.dispatch(worker, envelope));
+        return clusterHub;
+    }
+
+    /**
+     * cluster IPC adapter. Workers send to the primary over `process.send`; the
+     * primary relays every message to the other workers.
+     */
+    function cluster() {
+        return withKind('cluster', (channelName) => {
+            const nodeCluster = require('cluster');
+            if (nodeCluster.isPrimary || nodeCluster.isMaster) {
+                return linkTransport(channelName, clusterRelay());
+            }
+
+            return linkTransport(channelName, {
+                post: (envelope) => { if (process.connected) process.send(envelope); },
+                subscribe: (listener) => {
+                    process.on('message', listener);
+                    return () => process.removeListener('message', listener);
+                }
+            });
+        });
+    }
+
+    // --- Network ---
+
+    // One connection to the relay server: `tcp://` uses Node's net module, `ws://`/`wss://` a WebSocket.
+    function openRelayConnection(url, handlers, options) {
+        let closed = false;
+        const onClose = () => {
+            if (closed) return;
+            closed = true;
+            handlers.onClose();
+        };
+
+        if (/^tcp:\/\//i.test(url)) {
+            const { hostname, port } = new URL(url);
+            const socket = require('net').connect({ host: hostname, port: Number(port) });
+            const decoder = new (require('string_decoder').StringDecoder)('utf8');
+            let rest = '';
+            socket.setNoDelay(true);
+            socket.on('connect', handlers.onOpen);
+            socket.on('data', (chunk) => {
+                const lines = (rest + decoder.write(chunk)).split('\n');
+                rest = lines.pop();
+                lines.forEach(line => { if (line) handlers.onText(line); });
+            });
+            socket.on('error', () => { /* 'close' follows */ });
+            socket.on('close', onClose);
+            return { send: (text) => socket.write(text + '\n'), close: () => socket.destroy() };
+        }
+
+        const WebSocketImpl = options.WebSocket || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+        if (!WebSocketImpl) {
+            throw new Error("FlockTransports Error: relay() needs a WebSocket implementation for ws:// URLs (pass options.WebSocket), or a tcp:// URL in Node.");
+        }
+        const socket = new WebSocketImpl(url);
+        socket.onopen = handlers.onOpen;
+        socket.onmessage = (event) => handlers.onText(String(event.data));
+        socket.onerror = () => { /* onclose follows */ };
+        socket.onclose = onClose;
+        return {
+            send: (text) => socket.send(text),
+            close: () => { socket.close(); onClose(); }
+        };
+    }
+
+    /**
+     * Cross-machine transport through a relay server (see FlockRelay.js). `url` is
+     * `ws://host:port` (browsers, or Node with a global WebSocket or `options.WebSocket`)
+     * or `tcp://host:port` (Node). The connection is re-opened with exponential backoff
+     * and up to `bufferSize` messages are kept while it is down, the oldest dropped first.
+     * A connection that has been silent for `pingTimeout` ms is considered lost.
+     *
+     * The transport reports 'connected'/'disconnected' through `onStatus`: while the
+     * relay is out of reach the singleton drops its leader and holds elections, so an
+     * instance cut off from the flock does not keep acting as (or elect) a leader.
+     */
+    function relay(url, options = {}) {
+        const {
+            reconnectDelay = 250,
+            maxReconnectDelay = 5000,
+            bufferSize = 1000,
+            pingInterval = 2000,
+            pingTimeout = 5000
+        } = options;
+
+        return withKind(`relay:${url}`, (channelName) => {
+            let handler = null;
+            let statusHandler = null;
+            let leaveHandler = null;
+            let connection = null;
+            let connected = false;
+            let closed = false;
+            let buffer = [];
+            let delay = reconnectDelay;
+            let reconnectTimer = null;
+            let pingTimer = null;
+            let lastSeen = 0;
+
+            const setStatus = (value) => {
+                if (connected === value) return;
+                connected = value;
+                if (statusHandler) statusHandler(value ? 'connected' : 'disconnected');
+            };
+
+            const onOpen = () => {
+                delay = reconnectDelay;
+                lastSeen = Date.now();
+                connection.send(JSON.stringify({ [ENVELOPE_KEY]: channelName, join: true }));
+                const pending = buffer;
+                buffer = [];
+                pending.forEach(text => connection.send(text));
+
+                pingTimer = setInterval(() => {
+                    // رله پاسخ نمی‌دهد (مثلاً شبکه قطع شده ولی سوکت هنوز باز است)
+                    if (Date.now() - lastSeen > pingTimeout) connection.close();
+                    else connection.send(JSON.stringify({ ping: Date.now() }));
+                }, pingInterval);
+                setStatus(true);
+            };
+
+            const onText = (text) => {
+                lastSeen = Date.now();
+                let frame;
+                try { frame = JSON.parse(text); } catch (e) { return; }
+                if (!frame || frame[ENVELOPE_KEY] !== channelName) return;
+                if (frame.message !== undefined && handler) handler(frame.message);
+                else if (Array.isArray(frame.leave) && leaveHandler) leaveHandler(frame.leave.filter(id => typeof id === 'string'));
+            };
+
+            const onClose = () => {
+                clearInterval(pingTimer);
+                connection = null;
+                setStatus(false);
+                if (closed) return;
+                // تأخیر تصادفی تا همه‌ی نمونه‌ها هم‌زمان به رله هجوم نبرند
+                reconnectTimer = setTimeout(connect, delay / 2 + Math.random() * delay / 2);
+                delay = Math.min(delay * 2, maxReconnectDelay);
+            };
+
+            const connect = () => {
+                reconnectTimer = null;
+                connection = openRelayConnection(url, { onOpen, onText, onClose }, options);
+            };
+            connect();
+
+            return {
+                send: (message) => {
+                    const text = JSON.stringify({ [ENVELOPE_KEY]: channelName, message });
+                    if (connected) {
+                        connection.send(text);
+                        return;
+                    }
+                    buffer.push(text);
+                    if (buffer.length > bufferSize) buffer.shift();
+                },
+                onMessage: (cb) => { handler = cb; },
+                onStatus: (cb) => {
+                    statusHandler = cb;
+                    cb(connected ? 'connected' : 'disconnected');
+                },
+                onLeave: (cb) => { leaveHandler = cb; },
+                close: () => {
+                    closed = true;
+                    clearTimeout(reconnectTimer);
+                    buffer = [];
+                    if (connection) connection.close();
+                }
+            };
+        });
+    }
+
+    /**
+     * The transport used when none is configured: BroadcastChannel when available,
+     * then the localStorage `storage` event in browsers. Returns null if neither exists.
+     */
+    function createDefaultTransport(channelName) {
+        if (typeof BroadcastChannel !== 'undefined') {
+            try {
+                return broadcastChannel()(channelName);
+            } catch (e) { /* Fallback */ }
+        }
+        if (typeof window !== 'undefined' && window.localStorage) {
+            return localStorageTransport()(channelName);
+        }
+        return null;
+    }
+
+    const FlockTransports = {
+        broadcastChannel,
+        localStorage: localStorageTransport,
+        workerThreads,
+        cluster,
+        clusterRelay,
+        relay,
+        createDefaultTransport
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = FlockTransports;
+    } else if (typeof window !== 'undefined') {
+        window.FlockTransports = FlockTransports;
+    }
+})();
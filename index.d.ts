@@ -1,21 +1,410 @@
 
 declare module 'flock-election' {
 
+    // Transport contract used by the singleton to reach the other instances
+    interface FlockTransport {
+        send(message: any): void;
+        onMessage(handler: (message: any) => void): void;
+        /** Called once the last member of the instance has resigned. */
+        close?(): void;
+        /** Connection status of network transports; called once right away with the current status. */
+        onStatus?(handler: (status: 'connected' | 'disconnected') => void): void;
+        /** Ids of remote members whose instance dropped off (e.g. its relay connection closed). */
+        onLeave?(handler: (memberIds: string[]) => void): void;
+    }
+
+    interface RelayTransportOptions {
+        reconnectDelay?: number;
+        maxReconnectDelay?: number;
+        /** Messages kept while disconnected; the oldest are dropped first. */
+        bufferSize?: number;
+        pingInterval?: number;
+        pingTimeout?: number;
+        /** WebSocket implementation for ws:// URLs where there is no global one. */
+        WebSocket?: any;
+    }
+
+    interface RelayServer {
+        /** Resolves with the bound address; port 0 picks a free port. */
+        listen(port?: number, host?: string): Promise<{ address: string; port: number; family: string }>;
+        close(): Promise<void>;
+    }
+
+    interface FlockRelay {
+        /** `maxPayload` (bytes, default 1 MiB) bounds every line or whole WebSocket message; larger ones close the connection. */
+        createServer(options?: { port?: number; host?: string; maxPayload?: number; secret?: string | Uint8Array }): RelayServer;
+    }
+
+    interface FlockTransportFactory {
+        (channelName: string): FlockTransport;
+        /** Set on built-in factories; factories of the same kind count as the same transport. */
+        kind?: string;
+    }
+
+    /** The cluster primary's relay between workers. */
+    interface ClusterRelayHub {
+        post(envelope: any): void;
+        subscribe(listener: (envelope: any) => void): () => void;
+    }
+
+    interface WorkerThreadsTransportFactory extends FlockTransportFactory {
+        addPort(port: any): void;
+        /** The ports the factory relays through; two factories are only the same transport over the same ports. */
+        readonly ports: any[];
+    }
+
+    interface FlockTransports {
+        broadcastChannel(): FlockTransportFactory;
+        localStorage(options?: { ttl?: number; maxEntries?: number; gapTimeout?: number; storage?: Storage }): FlockTransportFactory;
+        workerThreads(options?: { ports?: any[] }): WorkerThreadsTransportFactory;
+        cluster(): FlockTransportFactory;
+        /** Returns the primary's relay, or null when not called in the cluster primary. */
+        clusterRelay(): ClusterRelayHub | null;
+        /** `ws://host:port` or `tcp://host:port` of a relay server (FlockRelay.js). */
+        relay(url: string, options?: RelayTransportOptions): FlockTransportFactory;
+        createDefaultTransport(channelName: string): FlockTransport | null;
+    }
+
+    // Storage backend of the durable outbox; every method may also return a Promise
+    interface OutboxStorage {
+        getItem(key: string): any | Promise<any>;
+        setItem(key: string, value: any): void | Promise<void>;
+        removeItem(key: string): void | Promise<void>;
+        keys(prefix: string): string[] | Promise<string[]>;
+    }
+
+    interface FlockOutboxStorage {
+        memory(): OutboxStorage;
+        localStorage(storage?: Storage): OutboxStorage;
+        indexedDB(options?: { dbName?: string }): OutboxStorage;
+        file(path: string): OutboxStorage;
+    }
+
+    // Deterministic simulation harness (FlockTesting.js)
+    interface VirtualClock {
+        readonly now: number;
+        install(): void;
+        uninstall(): void;
+        tick(ms?: number): Promise<void>;
+    }
+
+    interface SimulatedTab {
+        readonly name: string;
+        readonly members: FlockMember[];
+        readonly crashed: boolean;
+        transport: FlockTransportFactory;
+        createMember(options?: FlockOptions): FlockMember;
+        run<T>(fn: () => T): T;
+        close(): void;
+        crash(): void;
+    }
+
+    interface SimulationOptions {
+        seed?: number;
+        start?: number;
+        /** Delay per message in ms, or [min, max]. */
+        latency?: number | [number, number];
+        loss?: number;
+        reorder?: boolean;
+    }
+
+    interface Simulation {
+        readonly clock: VirtualClock;
+        readonly tabs: SimulatedTab[];
+        readonly stats: { sent: number; delivered: number; dropped: number };
+        install(): void;
+        uninstall(): void;
+        createTab(name?: string): SimulatedTab;
+        tick(ms: number): Promise<void>;
+        waitFor(predicate: () => boolean, options?: { timeout?: number; step?: number }): Promise<number>;
+        setLatency(latency: number | [number, number]): void;
+        setLoss(probability: number): void;
+        partition(...groups: SimulatedTab[][]): void;
+        heal(): void;
+    }
+
+    interface FlockTesting {
+        VirtualClock: new (start?: number) => VirtualClock;
+        createSimulation(options?: SimulationOptions): Simulation;
+    }
+
     // Interfaces for configuration options
     interface FlockOptions {
         channelName?: string;
         heartbeatInterval?: number;
         heartbeatTtl?: number;
+        requestCacheTtl?: number;
+        requestCacheSize?: number;
         debug?: boolean;
+        /** Receives every library log line and structured event instead of the console. */
+        logger?: FlockLogger;
+        /** Used by the first member of a channel in its scope; later members share that transport (a different one is ignored with a warning). */
+        transport?: FlockTransport | FlockTransportFactory;
+        outbox?: OutboxStorage;
+        metadata?: MemberMetadata;
+        priority?: number | (() => number);
+        migrateAfter?: number;
+        priorityMargin?: number;
+        /** Default timeout (ms) of acquireLock and semaphore.acquire. */
+        lockTimeout?: number;
+        /** Singleton registry to use instead of the global one; each scope acts as a separate tab. */
+        scope?: Map<string, unknown>;
+        /** Coalesce sendMessageToLeader calls for this many ms into one batch with a single ack. 0 disables batching. */
+        batchWindow?: number;
+        maxBatchSize?: number;
+        /** Sends per second to the Leader (a batch counts once). 0 disables the limit. */
+        rateLimit?: number;
+        rateBurst?: number;
+        maxQueueSize?: number;
+        dropPolicy?: 'oldest' | 'newest' | 'reject';
+        /** While this member leads: sends per second it accepts from each member. 0 disables the limit. */
+        memberRateLimit?: number;
+        memberRateBurst?: number;
+        /** First retry delay (ms); it doubles per attempt, with jitter, up to maxRetryDelay. */
+        retryBaseDelay?: number;
+        maxRetryDelay?: number;
+        /** Shared key for HMAC-SHA256 signing; unsigned or badly signed messages are rejected. */
+        secret?: string | Uint8Array;
+        /** Messages from instances on an older wire protocol are rejected. Default 1 (accept all). */
+        minProtocolVersion?: number;
+        /** Extra check after the built-in schema check. Return `false` or an error text, or throw, to reject. */
+        validate?: (message: FlockWireMessage) => boolean | string | void;
+        onReject?: (rejection: ProtocolRejection) => void;
+        /** How long (ms) a signed message stays valid and is remembered for replay detection. Default 30000. */
+        replayWindow?: number;
+    }
+
+    interface FlockWireMessage {
+        type: string;
+        senderId?: string;
+        targetId?: string;
+        requestId?: string;
+        payload?: any;
+        _ts?: number;
+        _v?: number;
+        _sig?: string;
+        [key: string]: any;
+    }
+
+    interface ProtocolRejection {
+        reason: 'version' | 'signature' | 'replay' | 'schema' | 'validate' | 'rate-limit';
+        detail?: string;
+        message: FlockWireMessage;
+    }
+
+    interface FlockLogger {
+        debug?(message: string, fields: Record<string, any>): void;
+        info?(message: string, fields: Record<string, any>): void;
+        warn?(message: string, fields: Record<string, any>): void;
+        error?(message: string, fields: Record<string, any>): void;
+        log?(message: string, fields: Record<string, any>): void;
+    }
+
+    interface FlockEvents {
+        'election': { leaderId: string; previousLeaderId: string | null; term: number; handoff: boolean };
+        'leader-lost': { leaderId: string; term: number; reason: 'timeout' | 'resign' | 'disconnected' | 'incompatible' };
+        'retry': { type: string; requestId: string; targetId?: string; attempt: number };
+        'drop': { reason: string; type: string | null; requestId?: string; targetId?: string; detail?: string };
+        'message': { direction: 'in' | 'out'; type: string; senderId?: string; targetId?: string; requestId?: string };
+    }
+
+    interface FlockStats {
+        memberId: string;
+        isLeader: boolean;
+        leaderId: string | null;
+        term: number;
+        /** Terms in which this instance saw a leader elected (switches within one term count once). */
+        elections: number;
+        lastElectionAt: number | null;
+        /** Total time (ms) this instance has known no leader. */
+        leaderlessMs: number;
+        /** Per-type counts of messages sent to and received from the transport, and rejections per reason. */
+        messages: {
+            sent: Record<string, number>;
+            received: Record<string, number>;
+            rejected: Record<string, number>;
+        };
+        requests: {
+            sent: number;
+            succeeded: number;
+            failed: number;
+            latency: { count: number; p50: number | null; p90: number | null; p99: number | null; max: number | null };
+        };
+        retries: number;
+        drops: number;
+        queues: { pending: number; retry: number; outgoing: number; outbox: number; locks: number };
+    }
+
+    interface ProtocolInfo {
+        version: number;
+        minVersion: number;
+        /** Lowest protocol version among the members in the roster. */
+        flockVersion: number;
+        /** Features every member in the roster supports. */
+        features: string[];
+        /** Members of instances this one refuses to elect with (see FlockProtocol's compatibility rules). */
+        incompatible: string[];
+        signed: boolean;
     }
 
     interface RequestOptions {
         timeout?: number;
+        deadline?: number;
+        signal?: AbortSignal;
+        onProgress?: (chunk: any) => void;
+    }
+
+    interface RequestContext {
+        requestId: string;
+        senderId: string;
+        /** True for a member-to-member `request()`, false for a request to the leader. */
+        direct: boolean;
+        signal?: AbortSignal;
+        progress(chunk: any): void;
+    }
+
+    interface RequestStream<T = any> extends AsyncIterableIterator<any> {
+        result: Promise<T>;
+    }
+
+    class FlockError extends Error {
+        code?: string;
+        data?: any;
+    }
+
+    class RequestTimeoutError extends FlockError {}
+    class MaxRetriesError extends RequestTimeoutError {}
+    class AbortError extends FlockError {
+        reason?: any;
+    }
+    class MemberNotFoundError extends FlockError {}
+    class QueueFullError extends FlockError {}
+    class LockTimeoutError extends FlockError {}
+    class MemberResignedError extends FlockError {}
+    class RemoteError extends FlockError {
+        remote: true;
+    }
+
+    interface SerializedError {
+        name?: string;
+        message?: string;
+        code?: string;
+        data?: any;
+    }
+
+    interface FlockErrors {
+        FlockError: typeof FlockError;
+        RequestTimeoutError: typeof RequestTimeoutError;
+        MaxRetriesError: typeof MaxRetriesError;
+        AbortError: typeof AbortError;
+        MemberNotFoundError: typeof MemberNotFoundError;
+        QueueFullError: typeof QueueFullError;
+        LockTimeoutError: typeof LockTimeoutError;
+        MemberResignedError: typeof MemberResignedError;
+        RemoteError: typeof RemoteError;
+        serializeError(err: any): SerializedError;
+        deserializeError(serialized: SerializedError): RemoteError;
+    }
+
+    interface LockLostEvent {
+        name: string;
+        /** 'expired': the ttl lease ran out; 'revoked': the leader gave the lock to another holder. */
+        reason: 'expired' | 'revoked';
+    }
+
+    interface LockOptions {
+        /** acquire: reject with LockTimeoutError after this (default lockTimeout, Infinity waits forever). try: resolve null after this (default heartbeatTtl + 500). */
+        timeout?: number;
+        ttl?: number;
+        onLost?: (event: LockLostEvent) => void;
+    }
+
+    interface LockHandle {
+        name: string;
+        held: boolean;
+        release(): void;
+        /** Called when the lock is taken away without release(). */
+        onLost(cb: (event: LockLostEvent) => void): void;
+    }
+
+    interface Semaphore {
+        name: string;
+        permits: number;
+        acquire(options?: LockOptions): Promise<LockHandle>;
+        tryAcquire(options?: LockOptions): Promise<LockHandle | null>;
+    }
+
+    interface SharedState {
+        get(key: string): any;
+        keys(): string[];
+        set(key: string, value: any): void;
+        delete(key: string): void;
+        subscribe(key: string, callback: (value: any, key: string) => void): () => void;
+    }
+
+    interface MemberMetadata {
+        label?: string;
+        url?: string;
+        visibilityState?: string;
+        capabilities?: string[];
+        appVersion?: string;
+        [key: string]: any;
+    }
+
+    interface MemberInfo {
+        id: string;
+        metadata: MemberMetadata;
+        priority: number;
+        lastSeen: number;
+        isLeader: boolean;
+        protocolVersion: number;
+    }
+
+    interface HandoffInfo {
+        from: string;
+        /** Only on the successor. */
+        state?: any;
+    }
+
+    interface CedeOptions {
+        to?: string;
+        state?: any;
+    }
+
+    interface CampaignOptions {
+        /** Priority for this role only; defaults to the member's priority. */
+        priority?: number;
+        /** Prefer candidates holding fewer roles, and rebalance roles onto idle candidates. */
+        spread?: boolean;
+    }
+
+    interface RoleInfo {
+        role: string;
+        holderId: string | null;
+        /** Grows with every new holder; usable as a fencing token. */
+        term: number;
+    }
+
+    type ScheduleSpec = { every: number } | { cron: string };
+
+    interface JobContext {
+        name: string;
+        /** Start time (ms) of the last completed run anywhere in the flock, or null. */
+        lastRun: number | null;
+        /** Aborted when this member loses leadership. */
+        signal: AbortSignal;
+    }
+
+    interface ScheduledJobHandle {
+        name: string;
+        cancel(): void;
     }
 
     interface MessageEnvelope {
         senderId: string;
         type: 'leader-message' | 'broadcast' | 'direct-message';
+        /** Set on 'leader-message': the id the message was sent with. */
+        requestId?: string;
         payload: any;
     }
 
@@ -23,6 +412,21 @@ declare module 'flock-election' {
     export default class FlockMember {
         constructor(options?: FlockOptions);
 
+        readonly id: string;
+        readonly state: SharedState;
+        readonly metadata: MemberMetadata;
+
+        static transports: FlockTransports;
+        static errors: FlockErrors;
+        static outboxStorage: FlockOutboxStorage;
+        static testing: FlockTesting;
+        static relay: FlockRelay;
+        static preferVisible(options?: { visible?: number; focused?: number; migrateAfter?: number }): {
+            priority: () => number;
+            migrateAfter: number;
+            priorityMargin: number;
+        };
+
         // --- Core Communication ---
         sendRequest(
             data: any,
@@ -30,19 +434,63 @@ declare module 'flock-election' {
             callback?: (error: Error | null, response: any) => void
         ): Promise<any>;
 
+        streamRequest(data: any, options?: RequestOptions): RequestStream;
+
+        request(
+            targetId: string,
+            data: any,
+            options?: RequestOptions,
+            callback?: (error: Error | null, response: any) => void
+        ): Promise<any>;
+
         sendMessageToLeader(data: any): void;
 
         // --- Listeners ---
-        onRequest(callback: (data: any, reply: (response: any) => void) => void): void;
+        onRequest(callback: (
+            data: any,
+            reply: (response: any) => void,
+            replyError: (error: Error | SerializedError) => void,
+            context: RequestContext
+        ) => void | Promise<any>): void;
         onMessage(callback: (msg: MessageEnvelope) => void): void;
-        onLeadershipChange(callback: (leader_id: string) => void): void;
+        onLeadershipChange(callback: (leader_id: string, handoff?: HandoffInfo) => void): void;
+        onMemberJoin(callback: (member: MemberInfo) => void): void;
+        onMemberLeave(callback: (member: MemberInfo) => void): void;
+
+        // --- Distributed Locks ---
+        acquireLock(name: string, options?: LockOptions): Promise<LockHandle>;
+        tryLock(name: string, options?: LockOptions): Promise<LockHandle | null>;
+        semaphore(name: string, permits?: number): Semaphore;
+
+        // --- Topics ---
+        subscribe(topic: string, callback: (data: any, info: { topic: string; senderId: string }) => void): () => void;
+        publish(topic: string, data: any): void;
+
+        // --- Scheduled Jobs ---
+        schedule(name: string, spec: ScheduleSpec, fn: (context: JobContext) => void | Promise<void>): ScheduledJobHandle;
+        unschedule(name: string): void;
+
+        // --- Roles ---
+        campaign(role: string, options?: CampaignOptions): void;
+        withdraw(role: string): void;
+        onRole(role: string, callback: (holderId: string | null, info: { role: string; term: number }) => void): void;
+        getRole(role: string): RoleInfo;
+        holdsRole(role: string): boolean;
 
         // --- Utilities ---
         isLeader(): boolean;
         resign(): void;
-        cedeLeadership() : void;
-        getMembersInfo(): string[];
-        sendToMember(id: string, data: any): void;
+        cedeLeadership(options?: CedeOptions): Promise<boolean>;
+        getMembersInfo(): MemberInfo[];
+        getProtocolInfo(): ProtocolInfo;
+        on<E extends keyof FlockEvents>(event: E, callback: (data: FlockEvents[E]) => void): () => void;
+        off<E extends keyof FlockEvents>(event: E, callback: (data: FlockEvents[E]) => void): void;
+        getStats(): FlockStats;
+        supports(feature: string): boolean;
+        setMetadata(patch: MemberMetadata): void;
+        getPriority(): number;
+        /** Returns false (and emits a 'drop' event) when `id` is not in the flock. */
+        sendToMember(id: string, data: any): boolean;
         broadcastToMembers(data: any): void;
     }
 }
\ No newline at end of file
@@ -1,3 +1,14 @@
 const FlockMember = require('./FlockMember');
+const FlockTransports = require('./FlockTransports');
+const FlockErrors = require('./FlockErrors');
+const FlockOutbox = require('./FlockOutbox');
+const FlockTesting = require('./FlockTesting');
+const FlockRelay = require('./FlockRelay');
 
-module.exports = FlockMember;
\ No newline at end of file
+FlockMember.transports = FlockTransports;
+FlockMember.errors = FlockErrors;
+FlockMember.outboxStorage = FlockOutbox;
+FlockMember.testing = FlockTesting;
+FlockMember.relay = FlockRelay;
+
+module.exports = FlockMember;
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { withSimulation, leaderOf } = require('./helpers');
+
+test('retries that fall due without a leader go out as soon as one is elected', () => withSimulation({ seed: 31 }, async (sim) => {
+    const tabs = ['a', 'b'].map(name => sim.createTab(name));
+    const members = tabs.map(tab => tab.createMember({ channelName: 'test', retryBaseDelay: 200 }));
+    await sim.waitFor(() => leaderOf(members));
+    const index = members.indexOf(leaderOf(members));
+    const survivor = members[1 - index];
+    survivor.onRequest((data, reply) => reply('served'));
+
+    let result = null;
+    // a short attempt timeout makes the retry fall due while the flock has no leader
+    survivor.sendRequest('x', { timeout: 300 }).then(value => { result = value; });
+    await sim.tick(5);
+    tabs[index].crash();
+
+    await sim.waitFor(() => survivor.isLeader(), { timeout: 20000 });
+    const took = await sim.waitFor(() => result !== null, { timeout: 20000 });
+    assert.strictEqual(result, 'served');
+    // not left to the 5 s safety-net loop
+    assert.ok(took < 400, `served ${took}ms after the election`);
+}));
+
+test('the leader enforces memberRateLimit on every sender', () => withSimulation({ seed: 32 }, async (sim) => {
+    const rejected = [];
+    const leader = sim.createTab('a').createMember({ channelName: 'test', memberRateLimit: 2, memberRateBurst: 2, onReject: ({ reason }) => rejected.push(reason) });
+    await sim.waitFor(() => leader.isLeader());
+    const follower = sim.createTab('b').createMember({ channelName: 'test' });
+    await sim.waitFor(() => leaderOf([leader, follower]));
+
+    const served = [];
+    const limited = [];
+    leader.onMessage(message => served.push(message.payload));
+    leader.on('drop', event => { if (event.reason === 'rate-limit') limited.push(event.requestId); });
+
+    for (let n = 0; n < 6; n++) follower.sendMessageToLeader(n);
+    await sim.tick(200);
+    assert.strictEqual(served.length, 2);
+    assert.strictEqual(limited.length, 4);
+    assert.deepStrictEqual(rejected, ['rate-limit', 'rate-limit', 'rate-limit', 'rate-limit']);
+
+    // the sender's backoff brings the rest in as the bucket refills
+    await sim.waitFor(() => served.length === 6, { timeout: 30000 });
+    assert.deepStrictEqual(served.slice().sort(), [0, 1, 2, 3, 4, 5]);
+}));
+
+test('messages are batched only for a leader that has advertised batch', () => withSimulation({ seed: 33 }, async (sim) => {
+    const members = ['a', 'b'].map(name => sim.createTab(name).createMember({ channelName: 'test', batchWindow: 20 }));
+    await sim.waitFor(() => leaderOf(members));
+    const follower = members.find(m => !m.isLeader());
+    const sent = [];
+    follower.on('message', event => { if (event.direction === 'out') sent.push(event.type); });
+
+    for (let n = 0; n < 3; n++) follower.sendMessageToLeader(n);
+    await sim.tick(100);
+    assert.deepStrictEqual(sent.filter(type => type.startsWith('message-')), ['message-batch']);
+
+    // Another instance takes over before its presence (and so its feature list) has arrived.
+    const other = sim.createTab('other');
+    const transport = sim.connect(other, 'test');
+    transport.onMessage(() => {});
+    other.run(() => setInterval(() => {
+        transport.send({ type: 'heartbeat', senderId: 'legacy', term: 1000, priority: 0, _ts: Date.now() });
+    }, 200));
+    await sim.waitFor(() => follower.singleton.leaderId === 'legacy');
+
+    sent.length = 0;
+    for (let n = 0; n < 3; n++) follower.sendMessageToLeader(n);
+    await sim.tick(100);
+    assert.deepStrictEqual(sent.filter(type => type.startsWith('message-')), ['message-to-leader', 'message-to-leader', 'message-to-leader']);
+}));
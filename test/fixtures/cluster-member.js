@@ -0,0 +1,10 @@
+// A cluster worker that joins 'chan' and reports whom it sees as leader to the primary.
+const FlockMember = require('../../index.js');
+
+const member = new FlockMember({ channelName: 'chan', transport: FlockMember.transports.cluster() });
+const report = setInterval(() => process.send({ report: { id: member.id, leaderId: member.singleton.leaderId } }), 100);
+
+process.on('disconnect', () => {
+    clearInterval(report);
+    member.resign();
+});
@@ -0,0 +1,35 @@
+const FlockMember = require('..');
+
+// Runs `fn(sim)` against a fresh simulation and always restores the real timers.
+async function withSimulation(options, fn) {
+    const sim = FlockMember.testing.createSimulation({ latency: [2, 20], ...options });
+    sim.install();
+    try {
+        return await fn(sim);
+    } finally {
+        sim.uninstall();
+    }
+}
+
+// The one leader every member agrees on, or null while they don't.
+function leaderOf(members) {
+    const leaders = members.filter(m => m.isLeader());
+    return leaders.length === 1 && members.every(m => m.singleton.leaderId === leaders[0].id) ? leaders[0] : null;
+}
+
+// One tab per name, each with one member on the 'test' channel.
+function createFlock(sim, names, options = {}) {
+    const tabs = names.map(name => sim.createTab(name));
+    const members = tabs.map(tab => tab.createMember({ channelName: 'test', ...options }));
+    return { tabs, members };
+}
+
+// Settles `promise` while the simulated clock moves; flock promises only settle while it ticks.
+async function settle(sim, promise, timeout = 60000) {
+    let outcome = null;
+    promise.then(value => { outcome = { value }; }, error => { outcome = { error }; });
+    await sim.waitFor(() => outcome !== null, { timeout, step: 50 });
+    return outcome;
+}
+
+module.exports = { withSimulation, leaderOf, createFlock, settle };
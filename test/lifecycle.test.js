@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const FlockMember = require('../index.js');
+
+function fakeTransport() {
+    return { sent: 0, closed: 0, send() { this.sent++; }, onMessage() {}, close() { this.closed++; } };
+}
+
+test('the transport is closed and the singleton dropped when the last member leaves', async () => {
+    const scope = new Map();
+    const transport = fakeTransport();
+    const a = new FlockMember({ channelName: 'life', scope, transport });
+    const b = new FlockMember({ channelName: 'life', scope, transport });
+    assert.strictEqual(a.singleton, b.singleton);
+
+    a.resign();
+    await Promise.resolve();
+    assert.strictEqual(transport.closed, 0);
+    assert.ok(scope.has('life'));
+
+    b.resign();
+    await a.singleton.outgoing;
+    await Promise.resolve();
+    assert.strictEqual(transport.closed, 1);
+    assert.ok(!scope.has('life'));
+
+    // the next member on the channel starts over with its own transport
+    const next = fakeTransport();
+    const c = new FlockMember({ channelName: 'life', scope, transport: next });
+    assert.notStrictEqual(c.singleton, a.singleton);
+    assert.strictEqual(c.singleton.transport, next);
+    c.resign();
+});
+
+test('a member that asks for a different transport on a cached channel is warned', () => {
+    const scope = new Map();
+    const warnings = [];
+    const warn = console.warn;
+    console.warn = (message) => warnings.push(message);
+    try {
+        const transport = fakeTransport();
+        const a = new FlockMember({ channelName: 'life', scope, transport });
+        const b = new FlockMember({ channelName: 'life', scope, transport });
+        const c = new FlockMember({ channelName: 'life', scope });
+        assert.strictEqual(warnings.length, 0);
+
+        // a fresh factory of the same kind is the same transport
+        const other = new Map();
+        const members = [1, 2].map(() => new FlockMember({ channelName: 'life', scope: other, transport: FlockMember.transports.relay('tcp://127.0.0.1:9') }));
+        assert.strictEqual(warnings.length, 0);
+        members.forEach(member => member.resign());
+
+        const d = new FlockMember({ channelName: 'life', scope, transport: fakeTransport() });
+        assert.strictEqual(warnings.length, 1);
+        assert.match(warnings[0], /"life"/);
+        assert.strictEqual(d.singleton.transport, transport);
+        [a, b, c, d].forEach(member => member.resign());
+    } finally {
+        console.warn = warn;
+    }
+});
+
+test('workerThreads factories over different ports are different transports', () => {
+    const { MessageChannel } = require('worker_threads');
+    const warnings = [];
+    const warn = console.warn;
+    console.warn = (message) => warnings.push(message);
+    const channels = [new MessageChannel(), new MessageChannel()];
+    try {
+        const scope = new Map();
+        const workerThreads = (channel) => FlockMember.transports.workerThreads({ ports: [channel.port1] });
+        const a = new FlockMember({ channelName: 'life', scope, transport: workerThreads(channels[0]) });
+        const b = new FlockMember({ channelName: 'life', scope, transport: workerThreads(channels[0]) });
+        assert.strictEqual(warnings.length, 0);
+
+        const c = new FlockMember({ channelName: 'life', scope, transport: workerThreads(channels[1]) });
+        assert.strictEqual(warnings.length, 1);
+        assert.strictEqual(c.singleton, a.singleton);
+        [a, b, c].forEach(member => member.resign());
+    } finally {
+        console.warn = warn;
+        channels.forEach(channel => { channel.port1.close(); channel.port2.close(); });
+    }
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const FlockMember = require('..');
+const { withSimulation, leaderOf } = require('./helpers');
+
+test('lock requests settle while there is no leader', () => withSimulation({ seed: 61 }, async (sim) => {
+    const tab = sim.createTab('a');
+    const member = tab.createMember({ channelName: 'test', lockTimeout: 3000 });
+    // cut off from the flock: no election is held, so no leader answers
+    tab.run(() => member.singleton.handleTransportStatus('disconnected'));
+
+    let acquired = null;
+    let tried;
+    tab.run(() => {
+        member.acquireLock('job').then(handle => { acquired = handle; }, err => { acquired = err; });
+        member.tryLock('job').then(handle => { tried = handle; });
+    });
+
+    await sim.waitFor(() => tried !== undefined, { timeout: 10000 });
+    assert.strictEqual(tried, null);
+    await sim.waitFor(() => acquired !== null, { timeout: 10000 });
+    assert.ok(acquired instanceof FlockMember.errors.LockTimeoutError);
+    assert.strictEqual(acquired.code, 'ELOCKTIMEOUT');
+    assert.strictEqual(member.getStats().queues.locks, 0);
+}));
+
+test('onLost reports a lease that ran out', () => withSimulation({ seed: 62 }, async (sim) => {
+    const member = sim.createTab('a').createMember({ channelName: 'test' });
+    await sim.waitFor(() => member.isLeader());
+
+    let handle = null;
+    const lost = [];
+    member.acquireLock('job', { ttl: 1000, onLost: event => lost.push(event) }).then(h => { handle = h; });
+    await sim.waitFor(() => handle !== null);
+    assert.strictEqual(handle.held, true);
+
+    await sim.tick(1500);
+    assert.strictEqual(handle.held, false);
+    assert.deepStrictEqual(lost, [{ name: 'job', reason: 'expired' }]);
+
+    // a released lock is not lost
+    let second = null;
+    member.acquireLock('job').then(h => { second = h; });
+    await sim.waitFor(() => second !== null);
+    second.onLost(event => lost.push(event));
+    second.release();
+    await sim.tick(1000);
+    assert.strictEqual(lost.length, 1);
+}));
+
+test('after a partition heals, the holder whose lock went to someone else is told', () => withSimulation({ seed: 63 }, async (sim) => {
+    const tabs = ['a', 'b', 'c'].map(name => sim.createTab(name));
+    const members = tabs.map(tab => tab.createMember({ channelName: 'test' }));
+    await sim.waitFor(() => leaderOf(members) && members.every(m => m.singleton.leaderId === leaderOf(members).id));
+
+    sim.partition([tabs[0]], [tabs[1], tabs[2]]);
+    await sim.waitFor(() => members[0].isLeader() && leaderOf(members.slice(1)), { timeout: 15000 });
+
+    const handles = [null, null];
+    const lost = [[], []];
+    [members[0], members[1]].forEach((member, i) => {
+        tabs[i].run(() => member.acquireLock('job').then(handle => {
+            handles[i] = handle;
+            handle.onLost(event => lost[i].push(event.reason));
+        }));
+    });
+    await sim.waitFor(() => handles.every(Boolean), { timeout: 10000 });
+
+    sim.heal();
+    await sim.waitFor(() => handles.some(handle => !handle.held), { timeout: 15000 });
+    const loser = handles.findIndex(handle => !handle.held);
+    assert.deepStrictEqual(lost[loser], ['revoked']);
+    assert.deepStrictEqual(lost[1 - loser], []);
+    assert.strictEqual(handles[1 - loser].held, true);
+}));
+
+test('a lock still awaited when its member resigns rejects with MemberResignedError', () => withSimulation({ seed: 64 }, async (sim) => {
+    const [a, b] = ['a', 'b'].map(name => sim.createTab(name).createMember({ channelName: 'test' }));
+    await sim.waitFor(() => leaderOf([a, b]));
+
+    let handle = null;
+    a.acquireLock('job').then(h => { handle = h; });
+    await sim.waitFor(() => handle !== null);
+
+    let waiting = null;
+    b.acquireLock('job').then(h => { waiting = h; }, err => { waiting = err; });
+    await sim.tick(200);
+    assert.strictEqual(waiting, null);
+
+    b.resign();
+    await sim.tick(0);
+    assert.ok(waiting instanceof FlockMember.errors.MemberResignedError);
+    assert.strictEqual(waiting.code, 'ERESIGNED');
+    assert.deepStrictEqual(waiting.data, { memberId: b.id, name: 'job' });
+}));
+
+test('a follower in another tab acquires and hands on a lock through the checked transport', () => withSimulation({ seed: 65 }, async (sim) => {
+    const tabs = ['a', 'b', 'c'].map(name => sim.createTab(name));
+    const members = tabs.map(tab => tab.createMember({ channelName: 'test' }));
+    const dropped = [];
+    members.forEach(m => m.on('drop', event => dropped.push([event.reason, event.type])));
+    await sim.waitFor(() => leaderOf(members));
+    const [first, second] = members.filter(m => !m.isLeader());
+
+    let handle = null;
+    first.acquireLock('job').then(h => { handle = h; });
+    await sim.waitFor(() => handle !== null);
+    assert.strictEqual(handle.held, true);
+
+    let tried;
+    second.tryLock('job').then(h => { tried = h; });
+    await sim.waitFor(() => tried !== undefined);
+    assert.strictEqual(tried, null);
+
+    let next = null;
+    second.acquireLock('job').then(h => { next = h; });
+    await sim.tick(200);
+    assert.strictEqual(next, null);
+    handle.release();
+    await sim.waitFor(() => next !== null);
+    assert.strictEqual(next.held, true);
+    assert.deepStrictEqual(dropped, []);
+}));
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { withSimulation } = require('./helpers');
+
+test('sendToMember reports an unknown target with a drop event instead of throwing', () => withSimulation({ seed: 41 }, async (sim) => {
+    const member = sim.createTab('a').createMember({ channelName: 'test' });
+    const drops = [];
+    member.on('drop', event => drops.push(event));
+
+    assert.strictEqual(member.sendToMember('nobody', 'hi'), false);
+    assert.deepStrictEqual(drops, [{ reason: 'no-member', type: 'direct-message', targetId: 'nobody' }]);
+}));
+
+test('sendToMember delivers to a member of another tab', () => withSimulation({ seed: 42 }, async (sim) => {
+    const [a, b] = ['a', 'b'].map(name => sim.createTab(name).createMember({ channelName: 'test' }));
+    await sim.waitFor(() => a.getMembersInfo().some(record => record.id === b.id));
+    const received = [];
+    b.onMessage(message => received.push(message));
+
+    assert.strictEqual(a.sendToMember(b.id, 'hi'), true);
+    await sim.waitFor(() => received.length === 1);
+    assert.deepStrictEqual(received[0], { senderId: a.id, type: 'direct-message', payload: 'hi' });
+}));
+
+test('direct request retries do not wait for a leader', () => withSimulation({ seed: 43 }, async (sim) => {
+    const tabs = ['a', 'b'].map(name => sim.createTab(name));
+    const [a, b] = tabs.map(tab => tab.createMember({ channelName: 'test' }));
+    await sim.waitFor(() => a.singleton.leaderId && a.singleton.leaderId === b.singleton.leaderId);
+    b.onRequest((data, reply) => reply(data + '!'));
+
+    // The first attempt is lost, and the flock has no leader while it is retried
+    // (as when the transport reports a disconnect: elections are paused).
+    sim.partition([tabs[0]], [tabs[1]]);
+    let result = null;
+    a.request(b.id, 'ping', { timeout: 300 }).then(value => { result = value; });
+    tabs.forEach((tab, i) => tab.run(() => [a, b][i].singleton.handleTransportStatus('disconnected')));
+    await sim.tick(100);
+    sim.heal();
+
+    await sim.waitFor(() => result !== null, { timeout: 2000 });
+    assert.strictEqual(result, 'ping!');
+    assert.strictEqual(a.singleton.leaderId, null);
+}));
@@ -0,0 +1,182 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { withSimulation, leaderOf, createFlock, settle } = require('./helpers');
+
+// A logger that records every call as [level, message, fields].
+function recordingLogger() {
+    const lines = [];
+    const logger = {};
+    ['debug', 'info', 'warn', 'error'].forEach(level => { logger[level] = (message, fields) => lines.push([level, message, fields]); });
+    return { logger, lines };
+}
+
+test('one election counts once, however many claims it took', () => withSimulation({ seed: 81 }, async (sim) => {
+    const { members } = createFlock(sim, ['a', 'b', 'c']);
+    const elections = members.map(() => []);
+    members.forEach((m, i) => m.on('election', event => elections[i].push(event)));
+    await sim.waitFor(() => leaderOf(members));
+    await sim.tick(3000);
+
+    const leader = leaderOf(members);
+    members.forEach((m, i) => {
+        assert.strictEqual(m.getStats().elections, 1);
+        assert.strictEqual(elections[i][elections[i].length - 1].leaderId, leader.id);
+    });
+}));
+
+test('a crashed leader shows up as leader-lost, a new election and leaderless time', () => withSimulation({ seed: 82 }, async (sim) => {
+    const { tabs, members } = createFlock(sim, ['a', 'b']);
+    await sim.waitFor(() => leaderOf(members));
+    const index = members.indexOf(leaderOf(members));
+    const survivor = members[1 - index];
+    const lost = [];
+    survivor.on('leader-lost', event => lost.push(event));
+
+    tabs[index].crash();
+    await sim.waitFor(() => survivor.isLeader(), { timeout: 15000 });
+
+    assert.deepStrictEqual(lost.map(event => [event.leaderId, event.reason]), [[members[index].id, 'timeout']]);
+    const stats = survivor.getStats();
+    assert.strictEqual(stats.elections, 2);
+    assert.strictEqual(stats.isLeader, true);
+    assert.ok(stats.leaderlessMs > 0);
+}));
+
+test('request metrics, message counts and unsubscribing', () => withSimulation({ seed: 83 }, async (sim) => {
+    const { members } = createFlock(sim, ['a', 'b']);
+    await sim.waitFor(() => leaderOf(members));
+    const leader = leaderOf(members);
+    const follower = members.find(m => m !== leader);
+    leader.onRequest((data, reply) => reply(data + 1));
+
+    const seen = [];
+    const unsubscribe = follower.on('message', event => seen.push(event));
+    for (let i = 0; i < 3; i++) assert.strictEqual((await settle(sim, follower.sendRequest(i))).value, i + 1);
+    unsubscribe();
+    const before = seen.length;
+    await settle(sim, follower.sendRequest(10));
+
+    assert.strictEqual(seen.length, before);
+    assert.ok(seen.some(event => event.direction === 'out' && event.type === 'request'));
+    assert.ok(seen.some(event => event.direction === 'in' && event.type === 'response'));
+
+    const stats = follower.getStats();
+    assert.strictEqual(stats.requests.sent, 4);
+    assert.strictEqual(stats.requests.succeeded, 4);
+    assert.strictEqual(stats.requests.latency.count, 4);
+    assert.ok(stats.requests.latency.p50 <= stats.requests.latency.max);
+    assert.ok(stats.messages.sent.request >= 4);
+}));
+
+test('the logger receives events and failed jobs instead of the console', () => withSimulation({ seed: 84 }, async (sim) => {
+    const { logger, lines } = recordingLogger();
+    const member = sim.createTab('a').createMember({ channelName: 'test', logger });
+    await sim.waitFor(() => member.isLeader());
+
+    const errors = [];
+    const consoleError = console.error;
+    console.error = (...args) => errors.push(args);
+    try {
+        member.schedule('boom', { every: 1000 }, () => { throw new Error('kaput'); });
+        await sim.tick(2500);
+    } finally {
+        console.error = consoleError;
+    }
+
+    assert.deepStrictEqual(errors, []);
+    const failure = lines.find(([level, message]) => level === 'error' && /boom/.test(message));
+    assert.ok(failure);
+    assert.strictEqual(failure[2].error.message, 'kaput');
+    assert.strictEqual(failure[2].memberId, member.id);
+    assert.ok(lines.some(([level, , fields]) => level === 'info' && fields.event === 'election' && fields.leaderId === member.id));
+}));
+
+test('errors thrown by listeners and subscribers go to the logger', () => withSimulation({ seed: 85 }, async (sim) => {
+    const { logger, lines } = recordingLogger();
+    const member = sim.createTab('a').createMember({ channelName: 'test', logger });
+    const other = sim.createTab('b').createMember({ channelName: 'test' });
+    await sim.waitFor(() => leaderOf([member, other]));
+
+    const failures = () => lines.filter(([level]) => level === 'error');
+    const thrown = () => Array.from(new Set(failures().map(([, , fields]) => fields.error.message))).sort();
+    const errors = [];
+    const consoleError = console.error;
+    console.error = (...args) => errors.push(args);
+    try {
+        member.on('message', () => { throw new Error('listener'); });
+        member.subscribe('news', () => { throw new Error('topic'); });
+        member.state.subscribe('count', () => { throw new Error('state'); });
+        // the lease runs out unrenewed and calls onLost
+        member.acquireLock('job', { ttl: 1000, onLost: () => { throw new Error('lock'); } });
+        other.publish('news', 1);
+        other.state.set('count', 1);
+        await sim.waitFor(() => thrown().length === 4, { timeout: 10000 });
+    } finally {
+        console.error = consoleError;
+    }
+
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(thrown(), ['listener', 'lock', 'state', 'topic']);
+    failures().forEach(([, , fields]) => assert.strictEqual(fields.memberId, member.id));
+}));
+
+test('errors thrown by role, roster and progress callbacks go to the logger', () => withSimulation({ seed: 86 }, async (sim) => {
+    const { logger, lines } = recordingLogger();
+    const member = sim.createTab('a').createMember({ channelName: 'test', logger });
+    const thrown = () => Array.from(new Set(lines.filter(([level]) => level === 'error').map(([, , fields]) => fields.error.message))).sort();
+    const errors = [];
+    const consoleError = console.error;
+    console.error = (...args) => errors.push(args);
+    try {
+        member.onRole('writer', () => { throw new Error('role'); });
+        member.onMemberJoin(() => { throw new Error('join'); });
+        member.onMemberLeave(() => { throw new Error('leave'); });
+        member.campaign('writer');
+        await sim.waitFor(() => member.isLeader());
+
+        const otherTab = sim.createTab('b');
+        const other = otherTab.createMember({ channelName: 'test', logger });
+        member.onRequest((data, reply, replyError, { progress }) => {
+            progress(1);
+            reply('done');
+        });
+        const answer = await settle(sim, other.sendRequest('work', { onProgress: () => { throw new Error('progress'); } }));
+        assert.deepStrictEqual(answer, { value: 'done' });
+        otherTab.close();
+        await sim.waitFor(() => thrown().length === 4, { timeout: 10000 });
+    } finally {
+        console.error = consoleError;
+    }
+
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(thrown(), ['join', 'leave', 'progress', 'role']);
+}));
+
+test('signing, verification and onReject failures go to the logger', () => withSimulation({ seed: 87 }, async (sim) => {
+    const { logger, lines } = recordingLogger();
+    const member = sim.createTab('a').createMember({ channelName: 'test', secret: 'shared', logger, onReject: () => { throw new Error('reject'); } });
+    const peer = sim.connect(sim.createTab('raw'), 'test');
+    peer.onMessage(() => {});
+    const thrown = () => Array.from(new Set(lines.filter(([level]) => level === 'error').map(([, , fields]) => fields.error.message))).sort();
+    const errors = [];
+    const consoleError = console.error;
+    console.error = (...args) => errors.push(args);
+    try {
+        await sim.waitFor(() => member.isLeader());
+        peer.send({ type: 'broadcast', senderId: 'raw', payload: 1 });
+        await sim.waitFor(() => thrown().length === 1);
+
+        member.singleton.signer = {
+            sign: () => Promise.reject(new Error('sign')),
+            verify: () => Promise.reject(new Error('verify'))
+        };
+        peer.send({ type: 'broadcast', senderId: 'raw', payload: 2, _sig: 'forged' });
+        await sim.waitFor(() => thrown().length === 3, { timeout: 5000 });
+    } finally {
+        console.error = consoleError;
+    }
+
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(thrown(), ['reject', 'sign', 'verify']);
+    lines.filter(([level]) => level === 'error').forEach(([, , fields]) => assert.strictEqual(fields.memberId, member.id));
+}));
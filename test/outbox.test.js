@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FlockMember = require('..');
+const { withSimulation, leaderOf, createFlock } = require('./helpers');
+
+// Writes `count` keys `<name>:<i>` to the outbox file from a separate Node process, without sync I/O.
+function writeFromProcess(file, name, count) {
+    const { execFile } = require('child_process');
+    const script = `
+        const fs = require('fs');
+        const storage = require(${JSON.stringify(require.resolve('..'))}).outboxStorage.file(${JSON.stringify(file)});
+        ['readFileSync', 'writeFileSync', 'renameSync', 'openSync'].forEach(method => {
+            fs[method] = () => { throw new Error(method + ' blocks the event loop'); };
+        });
+        const writes = [];
+        for (let i = 0; i < ${count}; i++) writes.push(storage.setItem('${name}:' + i, { i }));
+        Promise.all(writes).then(() => storage.removeItem('${name}:0'));
+    `;
+    return new Promise((resolve, reject) => {
+        execFile(process.execPath, ['-e', script], (err, stdout, stderr) => (err ? reject(new Error(stderr || err.message)) : resolve()));
+    });
+}
+
+test('file backend: two processes writing to one file lose nothing', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flock-outbox-'));
+    const file = path.join(dir, 'outbox.json');
+    try {
+        await Promise.all([writeFromProcess(file, 'a', 50), writeFromProcess(file, 'b', 50)]);
+
+        const storage = FlockMember.outboxStorage.file(file);
+        assert.strictEqual((await storage.keys('a:')).length, 49);
+        assert.strictEqual((await storage.keys('b:')).length, 49);
+        assert.strictEqual(await storage.getItem('b:0'), null);
+        assert.deepStrictEqual(await storage.getItem('a:7'), { i: 7 });
+        assert.deepStrictEqual(fs.readdirSync(dir), ['outbox.json']);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('an outbox record is not adopted while its owner is still in the roster', () => withSimulation({ seed: 71 }, async (sim) => {
+    const storage = FlockMember.outboxStorage.memory();
+    const tabs = ['a', 'b'].map(name => sim.createTab(name));
+    const [a, b] = tabs.map(tab => tab.createMember({ channelName: 'test', outbox: storage }));
+    await sim.waitFor(() => b.getMembersInfo().some(record => record.id === a.id));
+
+    // a is alive but its timers are throttled: its record has not been refreshed for a minute
+    const item = { requestId: 'r1', type: 'message-to-leader', data: 'hi', originId: a.id };
+    storage.setItem(a.outboxKey, { ownerId: a.id, touchedAt: Date.now() - 60000, items: [item] });
+
+    await sim.tick(12000);
+    assert.strictEqual(b.getStats().queues.outbox, 0);
+    assert.ok(storage.getItem(a.outboxKey));
+
+    // once a's presence expires, b takes the record over
+    tabs[0].crash();
+    await sim.waitFor(() => b.getStats().queues.outbox === 1 || storage.getItem(a.outboxKey) === null, { timeout: 20000 });
+    assert.strictEqual(storage.getItem(a.outboxKey), null);
+}));
+
+test('items sent from a cut-off tab that crashes reach the leader once, under their original ids', () => withSimulation({ seed: 72 }, async (sim) => {
+    const storage = FlockMember.outboxStorage.memory();
+    const { tabs, members } = createFlock(sim, ['a', 'b', 'c'], { outbox: storage });
+    await sim.waitFor(() => leaderOf(members));
+    const leader = leaderOf(members);
+    const sender = members.find(m => m !== leader);
+    const tab = tabs[members.indexOf(sender)];
+
+    const messages = [];
+    const requests = [];
+    members.forEach(m => {
+        m.onMessage(msg => { if (msg.type === 'leader-message') messages.push({ leaderId: m.id, senderId: msg.senderId, requestId: msg.requestId, payload: msg.payload }); });
+        m.onRequest((data, reply, replyError, context) => {
+            requests.push({ leaderId: m.id, senderId: context.senderId, requestId: context.requestId, payload: data });
+            reply('ok');
+        });
+    });
+
+    // cut off, the sender still takes the old leader for alive and keeps everything pending
+    sim.partition([tab]);
+    tab.run(() => {
+        sender.sendMessageToLeader('m1');
+        sender.sendMessageToLeader('m2');
+        sender.sendRequest('r1').catch(() => {});
+    });
+    await sim.tick(1000);
+    const written = storage.getItem(sender.outboxKey).items;
+    assert.strictEqual(written.length, 3);
+    tab.crash();
+    sim.heal();
+
+    await sim.waitFor(() => messages.length + requests.length >= 3, { timeout: 60000 });
+    await sim.tick(30000);
+
+    // adopted items are retried with jitter, so their order is not kept
+    const ids = (payload) => written.find(item => item.data === payload).requestId;
+    messages.sort((x, y) => x.payload.localeCompare(y.payload));
+    assert.deepStrictEqual(messages, [
+        { leaderId: leader.id, senderId: sender.id, requestId: ids('m1'), payload: 'm1' },
+        { leaderId: leader.id, senderId: sender.id, requestId: ids('m2'), payload: 'm2' }
+    ]);
+    assert.deepStrictEqual(requests, [{ leaderId: leader.id, senderId: sender.id, requestId: ids('r1'), payload: 'r1' }]);
+    assert.strictEqual(storage.getItem(sender.outboxKey), null);
+}));
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { withSimulation, leaderOf, createFlock } = require('./helpers');
+
+test('a member joins the roster of every other member through presence', () => withSimulation({ seed: 91 }, async (sim) => {
+    const first = sim.createTab('a').createMember({ channelName: 'test', metadata: { label: 'first' } });
+    const joined = [];
+    first.onMemberJoin(record => joined.push(record));
+
+    const second = sim.createTab('b').createMember({ channelName: 'test', metadata: { label: 'second' }, priority: 3 });
+    await sim.waitFor(() => joined.length === 1 && second.getMembersInfo().length === 2);
+
+    assert.strictEqual(joined[0].id, second.id);
+    assert.strictEqual(joined[0].metadata.label, 'second');
+    assert.strictEqual(joined[0].priority, 3);
+    [first, second].forEach(m => {
+        assert.deepStrictEqual(m.getMembersInfo().map(record => record.id).sort(), [first.id, second.id].sort());
+    });
+    const record = second.getMembersInfo().find(r => r.id === first.id);
+    assert.strictEqual(record.metadata.label, 'first');
+    assert.strictEqual(record.isLeader, first.isLeader());
+}));
+
+test('a member that resigns leaves the roster right away', () => withSimulation({ seed: 92 }, async (sim) => {
+    const { members } = createFlock(sim, ['a', 'b']);
+    await sim.waitFor(() => members.every(m => m.getMembersInfo().length === 2));
+    const [stays, goes] = members;
+    const left = [];
+    stays.onMemberLeave(record => left.push(record.id));
+
+    goes.resign();
+    const took = await sim.waitFor(() => left.length === 1);
+    assert.ok(took < stays.singleton.HEARTBEAT_INTERVAL, `left after ${took}ms`);
+    assert.deepStrictEqual(left, [goes.id]);
+    assert.deepStrictEqual(stays.getMembersInfo().map(record => record.id), [stays.id]);
+}));
+
+test('a crashed member leaves the roster once its presence is older than heartbeatTtl', () => withSimulation({ seed: 93 }, async (sim) => {
+    const { tabs, members } = createFlock(sim, ['a', 'b', 'c']);
+    await sim.waitFor(() => leaderOf(members) && members.every(m => m.getMembersInfo().length === 3));
+    const left = members.map(() => []);
+    members.forEach((m, i) => m.onMemberLeave(record => left[i].push(record.id)));
+
+    tabs[2].crash();
+    await sim.tick(members[0].singleton.HEARTBEAT_TTL - 1000);
+    assert.deepStrictEqual(left, [[], [], []]);
+
+    await sim.waitFor(() => left[0].length === 1 && left[1].length === 1, { timeout: 5000 });
+    assert.deepStrictEqual(left.slice(0, 2), [[members[2].id], [members[2].id]]);
+    members.slice(0, 2).forEach(m => assert.strictEqual(m.getMembersInfo().length, 2));
+}));
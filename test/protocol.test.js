@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { withSimulation, leaderOf } = require('./helpers');
+const Protocol = require('../FlockProtocol.js');
+
+// A raw instance on the simulated network that announces `presence` and, with `leads`, claims leadership.
+function createPeer(sim, name, { version, presence, leads = false }) {
+    const tab = sim.createTab(name);
+    const transport = sim.connect(tab, 'test');
+    const send = (message) => transport.send({ ...message, _ts: Date.now(), _v: version });
+    transport.onMessage(() => {});
+    tab.run(() => setInterval(() => {
+        send({ type: 'presence', payload: { members: [{ id: name, metadata: {}, priority: 100 }], ...presence } });
+        if (leads) send({ type: 'heartbeat', senderId: name, term: 1000, priority: 100 });
+    }, 200));
+    return tab;
+}
+
+test('signed buffered work is replayed to the successor after a handoff', () => withSimulation({ seed: 11, latency: 10, reorder: false }, async (sim) => {
+    const tabs = ['a', 'b', 'c'].map(name => sim.createTab(name));
+    const members = tabs.map(tab => tab.createMember({ channelName: 'test', secret: 'shared' }));
+    const rejected = [];
+    members.forEach(m => m.on('drop', event => rejected.push(event)));
+    await sim.waitFor(() => leaderOf(members));
+
+    const leader = leaderOf(members);
+    const [successor, requester] = members.filter(m => m !== leader);
+    members.forEach(m => m.onRequest((data, reply) => reply(m.id)));
+
+    // The request reaches the old leader after the offer went out and before the successor confirms.
+    let handledBy = null;
+    requester.sendRequest('work').then(id => { handledBy = id; });
+    await sim.tick(5);
+    leader.cedeLeadership({ to: successor.id });
+    // well below the retry timeout: the buffered request must be served directly
+    await sim.waitFor(() => handledBy !== null, { timeout: 1000 });
+
+    assert.strictEqual(handledBy, successor.id);
+    assert.deepStrictEqual(rejected, []);
+}));
+
+test('members refuse to elect with an instance that needs a newer protocol', () => withSimulation({ seed: 12 }, async (sim) => {
+    const members = ['a', 'b'].map(name => sim.createTab(name).createMember({ channelName: 'test' }));
+    createPeer(sim, 'future', { version: 3, presence: { features: Protocol.FEATURES, minVersion: 3 }, leads: true });
+
+    await sim.waitFor(() => leaderOf(members));
+    await sim.tick(3000);
+
+    assert.ok(leaderOf(members));
+    members.forEach(m => {
+        assert.ok(m.getProtocolInfo().incompatible.includes('future'));
+        assert.ok(m.getMembersInfo().every(record => record.id !== 'future'));
+    });
+}));
+
+test('a member that lacks batch switches batching off for the flock', () => withSimulation({ seed: 13 }, async (sim) => {
+    const members = ['a', 'b'].map(name => sim.createTab(name).createMember({ channelName: 'test' }));
+    await sim.waitFor(() => leaderOf(members));
+    assert.ok(members[0].supports('batch'));
+
+    createPeer(sim, 'older', { version: Protocol.PROTOCOL_VERSION, presence: { features: Protocol.FEATURES.filter(f => f !== 'batch') } });
+    await sim.waitFor(() => members.every(m => m.getMembersInfo().some(record => record.id === 'older')));
+
+    members.forEach(m => {
+        assert.ok(!m.supports('batch'));
+        assert.ok(m.supports('handoff'));
+    });
+}));
+
+test('an instance without a protocol version advertises no features', () => withSimulation({ seed: 15 }, async (sim) => {
+    const members = ['a', 'b'].map(name => sim.createTab(name).createMember({ channelName: 'test' }));
+    await sim.waitFor(() => leaderOf(members));
+    const leader = leaderOf(members);
+
+    // releases up to 0.1.x sent claims and heartbeats without a term, and no feature list
+    const tab = sim.createTab('legacy');
+    const transport = sim.connect(tab, 'test');
+    transport.onMessage(() => {});
+    tab.run(() => setInterval(() => {
+        transport.send({ type: 'presence', payload: { members: [{ id: 'legacy', metadata: {} }] } });
+        transport.send({ type: 'heartbeat', senderId: 'legacy' });
+    }, 200));
+    await sim.waitFor(() => members.every(m => m.getProtocolInfo().incompatible.includes('legacy')));
+    await sim.tick(3000);
+
+    assert.strictEqual(leaderOf(members), leader);
+    members.forEach(m => {
+        assert.ok(m.getMembersInfo().every(record => record.id !== 'legacy'));
+        assert.strictEqual(m.getProtocolInfo().flockVersion, Protocol.PROTOCOL_VERSION);
+        assert.ok(m.supports('batch'));
+    });
+}));
+
+test('election messages whose term or priority is not a number are rejected', () => withSimulation({ seed: 16, latency: 10, reorder: false }, async (sim) => {
+    const rejected = [];
+    const member = sim.createTab('a').createMember({ channelName: 'test', onReject: ({ reason, message, detail }) => rejected.push([reason, message.type, detail]) });
+    await sim.waitFor(() => member.isLeader());
+    const { term } = member.singleton;
+
+    const tab = sim.createTab('raw');
+    const transport = sim.connect(tab, 'test');
+    transport.onMessage(() => {});
+    const send = (message) => tab.run(() => transport.send({ ...message, _ts: Date.now(), _v: Protocol.PROTOCOL_VERSION }));
+    // "9" would sort above any numeric term as a string and take the leadership
+    send({ type: 'claim', senderId: 'raw', term: '9', priority: 0 });
+    send({ type: 'heartbeat', senderId: 'raw', term: term + 1, priority: Infinity });
+    send({ type: 'heartbeat', senderId: 'raw', priority: 0 });
+    send({ type: 'resign', senderId: member.id, term: null });
+    send({ type: 'role-claim', senderId: 'raw', payload: { role: 'socket', term: '2', rank: { priority: 0 } } });
+    send({ type: 'role-heartbeat', payload: { roles: [{ role: 'socket', holderId: 'raw', term: 1, rank: { priority: 'high' } }] } });
+    await sim.tick(200);
+
+    assert.deepStrictEqual(rejected, [
+        ['schema', 'claim', 'term must be a finite number'],
+        ['schema', 'heartbeat', 'priority must be a finite number'],
+        ['schema', 'heartbeat', 'term must be a finite number'],
+        ['schema', 'resign', 'term must be a finite number'],
+        ['schema', 'role-claim', 'payload.term must be a finite number'],
+        ['schema', 'role-heartbeat', 'payload.roles must only hold role holders with a numeric term and rank']
+    ]);
+    assert.ok(member.isLeader());
+    assert.strictEqual(member.singleton.term, term);
+    assert.strictEqual(member.getRole('socket').holderId, null);
+}));
+
+test('malformed frames are rejected by the schema instead of throwing in a handler', () => withSimulation({ seed: 14, latency: 10, reorder: false }, async (sim) => {
+    const rejected = [];
+    const member = sim.createTab('a').createMember({ channelName: 'test', onReject: ({ reason, message }) => rejected.push([reason, message.type]) });
+    await sim.waitFor(() => member.isLeader());
+
+    const tab = sim.createTab('raw');
+    const transport = sim.connect(tab, 'test');
+    transport.onMessage(() => {});
+    const send = (message) => tab.run(() => transport.send({ ...message, _ts: Date.now(), _v: Protocol.PROTOCOL_VERSION }));
+    send({ type: 'lock-grant', targetId: member.id, requestId: 'r1' });
+    send({ type: 'lock-lost', targetId: member.id, requestId: 'r1', payload: {} });
+    send({ type: 'presence', payload: { members: [null] } });
+    send({ type: 'presence', payload: { members: [{ metadata: {} }] } });
+    send({ type: 'message-batch', senderId: 'raw', requestId: 'r2', payload: { items: [null] } });
+    send({ type: 'role-heartbeat', payload: { roles: [7] } });
+    send({ type: 'request-cache', payload: { entries: [['k', null]] } });
+    await sim.tick(200);
+
+    assert.deepStrictEqual(rejected, [
+        ['schema', 'lock-grant'], ['schema', 'lock-lost'], ['schema', 'presence'], ['schema', 'presence'],
+        ['schema', 'message-batch'], ['schema', 'role-heartbeat'], ['schema', 'request-cache']
+    ]);
+    assert.ok(member.isLeader());
+    assert.deepStrictEqual(member.getMembersInfo().map(record => record.id), [member.id]);
+}));
@@ -0,0 +1,167 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const FlockMember = require('../index.js');
+const Protocol = require('../FlockProtocol.js');
+const { withSimulation, leaderOf, createFlock } = require('./helpers');
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function until(predicate, timeout = 3000) {
+    const deadline = Date.now() + timeout;
+    while (!predicate()) {
+        if (Date.now() > deadline) return false;
+        await wait(20);
+    }
+    return true;
+}
+
+async function withRelay(options, fn) {
+    const relay = FlockMember.relay.createServer(options);
+    const { port } = await relay.listen(0, '127.0.0.1');
+    try {
+        await fn(relay, port);
+    } finally {
+        await relay.close();
+    }
+}
+
+function connectRaw(port) {
+    return new Promise(resolve => {
+        const socket = net.connect(port, '127.0.0.1', () => resolve(socket));
+        socket.gone = new Promise(done => socket.on('close', done));
+        socket.on('error', () => {});
+        socket.resume();
+    });
+}
+
+function maskedFrame(opcode, fin, payload) {
+    const mask = Buffer.from([1, 2, 3, 4]);
+    const body = Buffer.from(payload);
+    for (let i = 0; i < body.length; i++) body[i] ^= mask[i % 4];
+    return Buffer.concat([Buffer.from([(fin ? 0x80 : 0) | opcode, 0x80 | body.length]), mask, body]);
+}
+
+test('relay: a line longer than maxPayload drops the TCP connection', () => withRelay({ maxPayload: 1024 }, async (relay, port) => {
+    const socket = await connectRaw(port);
+    socket.write('x'.repeat(600));
+    socket.write('x'.repeat(600));
+    assert.ok(await Promise.race([socket.gone.then(() => true), wait(2000).then(() => false)]));
+    assert.strictEqual(relay.connections.size, 0);
+}));
+
+test('relay: a fragmented WebSocket message is bounded by its total size', () => withRelay({ maxPayload: 1024 }, async (relay, port) => {
+    const socket = await connectRaw(port);
+    socket.write('GET / HTTP/1.1\r\nHost: x\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\n\r\n');
+    socket.write(maskedFrame(0x1, false, 'x'.repeat(100)));
+    for (let i = 0; i < 10; i++) socket.write(maskedFrame(0x0, false, 'x'.repeat(100)));
+    assert.ok(await Promise.race([socket.gone.then(() => true), wait(2000).then(() => false)]));
+}));
+
+test('relay: members behind a dropped connection are forgotten without waiting for heartbeatTtl', () => withRelay({}, async (relay, port) => {
+    const create = () => new FlockMember({
+        channelName: 'relay-test', scope: new Map(), heartbeatInterval: 200, heartbeatTtl: 30000,
+        transport: FlockMember.transports.relay(`tcp://127.0.0.1:${port}`, { reconnectDelay: 5000 })
+    });
+    const [a, b] = [create(), create()];
+    a.campaign('printer');
+    try {
+        assert.ok(await until(() => b.getMembersInfo().some(m => m.id === a.id) && a.isLeader() === !b.isLeader() && b.getRole('printer').holderId === a.id));
+        const aWasLeader = a.isLeader();
+
+        // the relay loses a's connection; a has no chance to say goodbye
+        relay.connections.forEach((channels, connection) => {
+            if (Array.from(channels.values()).some(ids => ids.has(a.id))) connection.close();
+        });
+
+        assert.ok(await until(() => !b.getMembersInfo().some(m => m.id === a.id), 1000));
+        assert.strictEqual(b.getRole('printer').holderId, null);
+        if (aWasLeader) assert.ok(await until(() => b.isLeader(), 2000));
+    } finally {
+        a.resign();
+        b.resign();
+    }
+}));
+
+// A raw line-protocol client on `channel` that records the frames the relay sends it.
+async function rawClient(port, channel) {
+    const socket = await connectRaw(port);
+    socket.frames = [];
+    let rest = '';
+    socket.on('data', chunk => {
+        const lines = (rest + chunk).split('\n');
+        rest = lines.pop();
+        lines.forEach(line => socket.frames.push(JSON.parse(line)));
+    });
+    socket.post = (frame) => socket.write(JSON.stringify({ __flock: channel, ...frame }) + '\n');
+    socket.post({ join: true });
+    socket.announce = (id, extra = {}) => socket.post({ message: { type: 'presence', payload: { members: [{ id }] }, ...extra } });
+    return socket;
+}
+
+const leaves = (socket) => socket.frames.filter(frame => frame.leave).map(frame => frame.leave);
+
+test('relay: a member that reconnected on a new connection is not reported gone with the old one', () => withRelay({}, async (relay, port) => {
+    const observer = await rawClient(port, 'c');
+    const stale = await rawClient(port, 'c');
+    stale.announce('mem_A');
+    await wait(50);
+    const fresh = await rawClient(port, 'c');
+    fresh.announce('mem_A');
+    await wait(50);
+
+    stale.destroy();
+    await stale.gone;
+    await wait(100);
+    assert.deepStrictEqual(leaves(observer), []);
+
+    fresh.destroy();
+    assert.ok(await until(() => leaves(observer).length === 1));
+    assert.deepStrictEqual(leaves(observer), [['mem_A']]);
+    observer.destroy();
+}));
+
+test('relay: with a secret, only signed presence makes the relay report a member gone', () => withRelay({ secret: 'shared' }, async (relay, port) => {
+    const signer = Protocol.createSigner('shared');
+    const observer = await rawClient(port, 'c');
+    const forger = await rawClient(port, 'c');
+    forger.announce('mem_LEADER');
+    forger.announce('mem_LEADER', { _sig: 'f'.repeat(64) });
+    await wait(50);
+    forger.destroy();
+    await forger.gone;
+    await wait(100);
+    assert.deepStrictEqual(leaves(observer), []);
+
+    const member = await rawClient(port, 'c');
+    const message = { type: 'presence', payload: { members: [{ id: 'mem_B' }] }, _ts: Date.now(), _v: Protocol.PROTOCOL_VERSION };
+    member.post({ message: { ...message, _sig: await signer.sign(Protocol.signingBody(message)) } });
+    await wait(50);
+    member.destroy();
+    assert.ok(await until(() => leaves(observer).length === 1));
+    assert.deepStrictEqual(leaves(observer), [['mem_B']]);
+    observer.destroy();
+}));
+
+test('a relay leave for a member that still beats is ignored', () => withSimulation({ seed: 121 }, async (sim) => {
+    const { tabs, members } = createFlock(sim, ['a', 'b', 'c']);
+    await sim.waitFor(() => leaderOf(members));
+    await sim.tick(1000);
+    const leader = leaderOf(members);
+    const index = members.indexOf(leader);
+    const [follower, other] = members.filter(m => m !== leader);
+    const reporter = members.indexOf(follower);
+
+    // a forged or stale report: everyone named is alive
+    tabs[reporter].run(() => follower.singleton.handlePeersGone([leader.id, other.id]));
+    await sim.tick(5000);
+    assert.strictEqual(leaderOf(members), leader);
+    assert.strictEqual(follower.getMembersInfo().length, 3);
+
+    // a true one: the leader is gone well before heartbeatTtl runs out
+    tabs[index].crash();
+    tabs[reporter].run(() => follower.singleton.handlePeersGone([leader.id]));
+    await sim.tick(follower.singleton.HEARTBEAT_INTERVAL * 2);
+    assert.ok(follower.getMembersInfo().every(record => record.id !== leader.id));
+    assert.notStrictEqual(follower.singleton.leaderId, leader.id);
+}));
@@ -0,0 +1,247 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const FlockMember = require('..');
+const { withSimulation, leaderOf, settle } = require('./helpers');
+
+const { RemoteError, RequestTimeoutError, MaxRetriesError, AbortError } = FlockMember.errors;
+
+function withFlock(fn, options = {}) {
+    return withSimulation({ seed: 21, ...options }, async (sim) => {
+        const members = ['a', 'b'].map(name => sim.createTab(name).createMember({ channelName: 'test' }));
+        await sim.waitFor(() => leaderOf(members));
+        // claims of the first election may still be on their way
+        await sim.tick(1000);
+        const leader = leaderOf(members);
+        return fn(sim, leader, members.find(m => m !== leader));
+    });
+}
+
+test('replyError() without a reason rejects the request', () => withFlock(async (sim, leader, follower) => {
+    leader.onRequest((data, reply, replyError) => replyError());
+    const { error } = await settle(sim, follower.sendRequest('x'));
+    assert.ok(error instanceof RemoteError);
+    assert.match(error.message, /without a reason/);
+}));
+
+test('a handler promise rejected without a reason rejects the request', () => withFlock(async (sim, leader, follower) => {
+    leader.onRequest(() => Promise.reject());
+    const { error } = await settle(sim, follower.sendRequest('x'));
+    assert.ok(error instanceof RemoteError);
+}));
+
+test('reply(undefined) and reply(null) still resolve', () => withFlock(async (sim, leader, follower) => {
+    leader.onRequest((data, reply) => reply(data === 'null' ? null : undefined));
+    assert.deepStrictEqual(await settle(sim, follower.sendRequest('null')), { value: null });
+    assert.ok('value' in await settle(sim, follower.sendRequest('undefined')));
+}));
+
+test('both timeout paths reject with RequestTimeoutError', () => withFlock(async (sim, leader, follower) => {
+    leader.onRequest(() => { /* never answers */ });
+
+    const deadline = await settle(sim, follower.sendRequest('x', { deadline: 2000 }));
+    assert.ok(deadline.error instanceof RequestTimeoutError);
+    assert.strictEqual(deadline.error.code, 'ETIMEOUT');
+
+    const retries = await settle(sim, follower.sendRequest('y', { timeout: 500 }), 300000);
+    assert.ok(retries.error instanceof RequestTimeoutError);
+    assert.ok(retries.error instanceof MaxRetriesError);
+    assert.strictEqual(retries.error.code, 'EMAXRETRIES');
+}));
+
+test('aborting a request rejects it with AbortError and aborts the signal of the handler', () => withFlock(async (sim, leader, follower) => {
+    let signal = null;
+    leader.onRequest((data, reply, replyError, context) => { signal = context.signal; });
+
+    const controller = new AbortController();
+    const outcome = settle(sim, follower.sendRequest('x', { signal: controller.signal }));
+    await sim.waitFor(() => signal !== null);
+    controller.abort('changed my mind');
+
+    const { error } = await outcome;
+    assert.ok(error instanceof AbortError);
+    assert.strictEqual(error.code, 'ABORT_ERR');
+    assert.strictEqual(error.reason, 'changed my mind');
+    await sim.waitFor(() => signal.aborted);
+    assert.strictEqual(follower.getStats().queues.pending, 0);
+}));
+
+test('an already aborted signal rejects without sending anything', () => withFlock(async (sim, leader, follower) => {
+    let handled = 0;
+    leader.onRequest((data, reply) => { handled++; reply(data); });
+    const { error } = await settle(sim, follower.sendRequest('x', { signal: AbortSignal.abort() }));
+    assert.ok(error instanceof AbortError);
+    await sim.tick(500);
+    assert.strictEqual(handled, 0);
+}));
+
+test('aborting a request waiting for a retry takes it out of the retry queue', () => withFlock(async (sim, leader, follower) => {
+    let handled = 0;
+    leader.onRequest(() => { handled++; });
+
+    const controller = new AbortController();
+    const outcome = settle(sim, follower.sendRequest('x', { timeout: 300, signal: controller.signal }));
+    await sim.waitFor(() => follower.getStats().queues.retry === 1);
+    controller.abort();
+
+    assert.ok((await outcome).error instanceof AbortError);
+    assert.strictEqual(follower.getStats().queues.retry, 0);
+    assert.strictEqual(follower.getStats().queues.pending, 0);
+    // the retry never goes out
+    await sim.tick(10000);
+    assert.strictEqual(handled, 1);
+}));
+
+// Reads `stream` to the end (or up to `limit` chunks), collecting its chunks.
+async function drain(stream, limit = Infinity) {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+        if (chunks.length >= limit) break;
+    }
+    return chunks;
+}
+
+const pause = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('streamRequest yields the progress chunks in order, then ends with the final value', () => withFlock(async (sim, leader, follower) => {
+    leader.onRequest(async (count, reply, replyError, { progress }) => {
+        for (let i = 1; i <= count; i++) {
+            progress(i);
+            await pause(50);
+        }
+        return 'done';
+    });
+
+    const stream = follower.streamRequest(5);
+    assert.deepStrictEqual((await settle(sim, drain(stream))).value, [1, 2, 3, 4, 5]);
+    assert.deepStrictEqual(await settle(sim, stream.result), { value: 'done' });
+}, { reorder: false }));
+
+test('a stream that fails midway throws after the chunks that arrived', () => withFlock(async (sim, leader, follower) => {
+    leader.onRequest(async (data, reply, replyError, { progress }) => {
+        progress('first');
+        await pause(50);
+        throw new FlockMember.errors.FlockError('disk full', 'ENOSPC');
+    });
+
+    const chunks = [];
+    const outcome = await settle(sim, (async () => {
+        for await (const chunk of follower.streamRequest('x')) chunks.push(chunk);
+    })());
+    assert.deepStrictEqual(chunks, ['first']);
+    assert.ok(outcome.error instanceof RemoteError);
+    assert.strictEqual(outcome.error.code, 'ENOSPC');
+}, { reorder: false }));
+
+test('leaving a stream early cancels the request on the leader', () => withFlock(async (sim, leader, follower) => {
+    let signal = null;
+    let sent = 0;
+    leader.onRequest(async (data, reply, replyError, context) => {
+        signal = context.signal;
+        while (!signal.aborted) {
+            context.progress(++sent);
+            await pause(50);
+        }
+    });
+
+    const stream = follower.streamRequest('x');
+    assert.deepStrictEqual((await settle(sim, drain(stream, 2))).value, [1, 2]);
+    assert.ok((await settle(sim, stream.result)).error instanceof AbortError);
+    await sim.waitFor(() => signal.aborted);
+    const stopped = sent;
+    await sim.tick(500);
+    assert.strictEqual(sent, stopped);
+    assert.strictEqual(follower.getStats().queues.pending, 0);
+}));
+
+test('only the requester can cancel its request', () => withFlock(async (sim, leader, follower) => {
+    let context = null;
+    leader.onRequest((data, reply, replyError, ctx) => { context = ctx; });
+    const controller = new AbortController();
+    let failure = null;
+    follower.sendRequest('x', { signal: controller.signal }).catch(error => { failure = error; });
+    await sim.waitFor(() => context !== null);
+
+    // another member cancelling a request with the same id leaves it running
+    const peer = sim.connect(sim.createTab('other'), 'test');
+    peer.onMessage(() => {});
+    peer.send({ type: 'request-cancel', senderId: 'mem_other', requestId: context.requestId });
+    await sim.tick(500);
+    assert.strictEqual(context.signal.aborted, false);
+
+    controller.abort();
+    await sim.waitFor(() => context.signal.aborted && failure !== null);
+    assert.ok(failure instanceof AbortError);
+}));
+
+test('a retried request runs the handler once and gets the cached response', () => withFlock(async (sim, leader, follower) => {
+    let calls = 0;
+    // answers after the first attempt has timed out, so the request is sent again
+    leader.onRequest((data, reply) => {
+        calls++;
+        setTimeout(() => reply(`handled ${data}`), 500);
+    });
+
+    assert.deepStrictEqual(await settle(sim, follower.sendRequest('x', { timeout: 300 })), { value: 'handled x' });
+    assert.strictEqual(calls, 1);
+    assert.ok(follower.getStats().retries >= 1);
+}));
+
+test('the request cache moves to the next leader when the leader steps down', () => withSimulation({ seed: 22 }, async (sim) => {
+    const members = ['a', 'b', 'c'].map(name => sim.createTab(name).createMember({ channelName: 'test', retryBaseDelay: 3000 }));
+    await sim.waitFor(() => leaderOf(members));
+    await sim.tick(1000);
+    const leader = leaderOf(members);
+    const requester = members.find(m => m !== leader);
+
+    const calls = [];
+    members.forEach(m => m.onRequest((data, reply) => {
+        calls.push(m.id);
+        setTimeout(() => reply(`handled by ${m.id}`), 500);
+    }));
+
+    const outcome = settle(sim, requester.sendRequest('x', { timeout: 300 }));
+    // the leader has answered, but the requester only retries after the leader has stepped down
+    await sim.tick(700);
+    leader.cedeLeadership();
+    await sim.waitFor(() => leaderOf(members) && leaderOf(members) !== leader);
+
+    assert.deepStrictEqual(await outcome, { value: `handled by ${leader.id}` });
+    assert.deepStrictEqual(calls, [leader.id]);
+}));
+
+test('resigning rejects queued, pending and retrying requests and sends nothing more', () => withSimulation({ seed: 23 }, async (sim) => {
+    const leader = sim.createTab('a').createMember({ channelName: 'test' });
+    await sim.waitFor(() => leader.isLeader());
+    const member = sim.createTab('b').createMember({ channelName: 'test', rateLimit: 1, retryBaseDelay: 10000 });
+    await sim.waitFor(() => member.singleton.leaderId === leader.id);
+    await sim.tick(1000);
+
+    const received = [];
+    leader.onRequest((data) => { received.push(data); });
+    const outcomes = [];
+    const send = (data, options) => { outcomes.push(settle(sim, member.sendRequest(data, options))); };
+
+    send('retrying', { timeout: 300 });
+    await sim.tick(1100);
+    send('pending');
+    send('queued 1');
+    send('queued 2');
+    await sim.tick(10);
+    assert.deepStrictEqual(member.getStats().queues, { pending: 1, retry: 1, outgoing: 2, outbox: 0, locks: 0 });
+
+    member.resign();
+    for (const outcome of outcomes) {
+        const { error } = await outcome;
+        assert.ok(error instanceof FlockMember.errors.MemberResignedError);
+        assert.strictEqual(error.code, 'ERESIGNED');
+        assert.strictEqual(error.data.memberId, member.id);
+        assert.strictEqual(typeof error.data.requestId, 'string');
+    }
+    assert.deepStrictEqual(member.getStats().queues, { pending: 0, retry: 0, outgoing: 0, outbox: 0, locks: 0 });
+
+    const before = received.length;
+    await sim.tick(40000);
+    assert.deepStrictEqual(received.slice(0, 2), ['retrying', 'pending']);
+    assert.strictEqual(received.length, before);
+}));
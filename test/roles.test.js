@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { withSimulation, createFlock } = require('./helpers');
+
+// The holder every member agrees on, or null while they disagree or the role is vacant.
+function holderOf(members, role) {
+    const ids = new Set(members.map(m => m.getRole(role).holderId));
+    const [id] = ids;
+    return ids.size === 1 && id ? members.find(m => m.id === id) : null;
+}
+
+test('a role is won by its highest-priority candidate and moves on when the holder withdraws', () => withSimulation({ seed: 71 }, async (sim) => {
+    const { members } = createFlock(sim, ['a', 'b', 'c']);
+    const seen = members.map(() => []);
+    members.forEach((m, i) => m.onRole('socket', (holderId, { term }) => seen[i].push([holderId, term])));
+    members[0].campaign('socket');
+    members[1].campaign('socket', { priority: 5 });
+    members[2].campaign('socket', { priority: 1 });
+
+    await sim.waitFor(() => holderOf(members, 'socket') === members[1]);
+    await sim.tick(5000);
+    assert.strictEqual(holderOf(members, 'socket'), members[1]);
+    assert.ok(members[1].holdsRole('socket'));
+    assert.ok(!members[0].holdsRole('socket') && !members[2].holdsRole('socket'));
+    const { term } = members[1].getRole('socket');
+    seen.forEach(changes => assert.deepStrictEqual(changes[changes.length - 1], [members[1].id, term]));
+
+    members[1].withdraw('socket');
+    await sim.waitFor(() => holderOf(members, 'socket') === members[2]);
+    assert.ok(members[2].getRole('socket').term > term);
+}));
+
+test('with spread, the roles end up on different members', () => withSimulation({ seed: 72 }, async (sim) => {
+    const roles = ['socket', 'sync', 'audio'];
+    const { members } = createFlock(sim, ['a', 'b', 'c']);
+    // the first member stands alone for a while and picks up every role
+    roles.forEach(role => members[0].campaign(role, { spread: true }));
+    await sim.waitFor(() => roles.every(role => members[0].holdsRole(role)));
+    members.slice(1).forEach(m => roles.forEach(role => m.campaign(role, { spread: true })));
+
+    await sim.waitFor(() => roles.every(role => holderOf(members, role)) &&
+        new Set(roles.map(role => holderOf(members, role).id)).size === roles.length, { timeout: 60000 });
+    await sim.tick(20000);
+    assert.deepStrictEqual(roles.map(role => holderOf(members, role)).map(m => members.indexOf(m)).sort(), [0, 1, 2]);
+}));
+
+test('after a partition heals the holder with the newer term keeps the role', () => withSimulation({ seed: 73 }, async (sim) => {
+    const { tabs, members } = createFlock(sim, ['a', 'b', 'c']);
+    const tokens = members.map(() => []);
+    members.forEach((m, i) => {
+        m.campaign('sync');
+        m.onRole('sync', (holderId, { term }) => { if (holderId === m.id) tokens[i].push(term); });
+    });
+    await sim.waitFor(() => holderOf(members, 'sync'));
+    const cutOff = holderOf(members, 'sync');
+    const index = members.indexOf(cutOff);
+    const rest = members.filter(m => m !== cutOff);
+    const { term: oldTerm } = cutOff.getRole('sync');
+
+    sim.partition([tabs[index]]);
+    await sim.waitFor(() => holderOf(rest, 'sync'), { timeout: 15000 });
+    const successor = holderOf(rest, 'sync');
+    const { term: newTerm } = successor.getRole('sync');
+    assert.ok(newTerm > oldTerm);
+    // cut off, the old holder still believes it holds the role with its old token
+    assert.ok(cutOff.holdsRole('sync'));
+    assert.strictEqual(cutOff.getRole('sync').term, oldTerm);
+
+    sim.heal();
+    await sim.waitFor(() => holderOf(members, 'sync') === successor);
+    await sim.tick(5000);
+    assert.strictEqual(holderOf(members, 'sync'), successor);
+    members.forEach(m => assert.strictEqual(m.getRole('sync').term, newTerm));
+    // a resource fenced on the newest token turns every write of the old holder away
+    const fence = Math.max(...tokens.flat());
+    assert.strictEqual(fence, newTerm);
+    assert.ok(tokens[index].every(token => token < fence));
+}));
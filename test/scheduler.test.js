@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const FlockMember = require('..');
+const { JOB_STATE_PREFIX, parseCron, nextCronTime } = require('../FlockScheduler');
+const { withSimulation, leaderOf, createFlock } = require('./helpers');
+
+// Every member schedules the same job from its own tab; runs are recorded as [memberId, time].
+function scheduleEverywhere({ tabs, members }, spec, fn = () => {}) {
+    const runs = [];
+    members.forEach((m, i) => tabs[i].run(() => m.schedule('job', spec, (context) => {
+        runs.push([m.id, Date.now()]);
+        return fn(context);
+    })));
+    return runs;
+}
+
+test('a job runs only on the leader', () => withSimulation({ seed: 101 }, async (sim) => {
+    const flock = createFlock(sim, ['a', 'b', 'c']);
+    const { members } = flock;
+    await sim.waitFor(() => leaderOf(members));
+    const leader = leaderOf(members);
+
+    const runs = scheduleEverywhere(flock, { every: 1000 });
+    await sim.tick(10500);
+
+    assert.ok(runs.length >= 10 && runs.length <= 11, `${runs.length} runs`);
+    runs.forEach(([id]) => assert.strictEqual(id, leader.id));
+}));
+
+test('a job resumes on the next leader after a failover without running twice', () => withSimulation({ seed: 102 }, async (sim) => {
+    const flock = createFlock(sim, ['a', 'b', 'c']);
+    const { tabs, members } = flock;
+    await sim.waitFor(() => leaderOf(members));
+    await sim.tick(1000);
+    const leader = leaderOf(members);
+
+    const runs = scheduleEverywhere(flock, { every: 10000 });
+    await sim.waitFor(() => runs.length === 1);
+    // the run has reached the shared state; the leader crashes well before the next one
+    await sim.tick(3000);
+    tabs[members.indexOf(leader)].crash();
+    const rest = members.filter(m => m !== leader);
+
+    await sim.waitFor(() => leaderOf(rest), { timeout: 15000 });
+    await sim.tick(25000);
+
+    const next = leaderOf(rest);
+    assert.strictEqual(runs[0][0], leader.id);
+    runs.slice(1).forEach(([id]) => assert.strictEqual(id, next.id));
+    assert.ok(runs.length >= 3, `${runs.length} runs`);
+    // the new leader keeps the old schedule: no run comes early, and none is skipped
+    for (let i = 1; i < runs.length; i++) {
+        const gap = runs[i][1] - runs[i - 1][1];
+        assert.ok(gap >= 10000 && gap < 11000, `run ${i} came ${gap}ms after the one before`);
+    }
+}));
+
+test('a run cut short by a lost leadership is repeated by the next leader', () => withSimulation({ seed: 103 }, async (sim) => {
+    const flock = createFlock(sim, ['a', 'b']);
+    const { members } = flock;
+    await sim.waitFor(() => leaderOf(members));
+    await sim.tick(1000);
+    const leader = leaderOf(members);
+
+    const aborted = [];
+    const runs = scheduleEverywhere(flock, { every: 60000 }, ({ signal }) => new Promise(resolve => {
+        signal.addEventListener('abort', () => { aborted.push(Date.now()); resolve(); });
+        setTimeout(resolve, 5000);
+    }));
+    await sim.waitFor(() => runs.length === 1);
+    leader.cedeLeadership();
+
+    await sim.waitFor(() => runs.length === 2, { timeout: 15000 });
+    assert.strictEqual(aborted.length, 1);
+    assert.notStrictEqual(runs[1][0], leader.id);
+    await sim.tick(30000);
+    assert.strictEqual(runs.length, 2);
+}));
+
+test('cron parses lists, ranges, steps and aliases', () => {
+    const cron = parseCron('*/15 9-17 1,15 * 1-5');
+    assert.deepStrictEqual([...cron.minute], [0, 15, 30, 45]);
+    assert.deepStrictEqual([...cron.hour], [9, 10, 11, 12, 13, 14, 15, 16, 17]);
+    assert.deepStrictEqual([...cron.day], [1, 15]);
+    assert.strictEqual(cron.month.size, 12);
+    assert.deepStrictEqual([...cron.weekday], [1, 2, 3, 4, 5]);
+    assert.strictEqual(cron.anyDay, false);
+    assert.strictEqual(cron.anyWeekday, false);
+
+    assert.deepStrictEqual([...parseCron('5/20 0-10/5 * * *').minute], [5, 25, 45]);
+    assert.deepStrictEqual([...parseCron('5/20 0-10/5 * * *').hour], [0, 5, 10]);
+    assert.deepStrictEqual([...parseCron('0 0 * * 5-7').weekday], [5, 6, 0]);
+    assert.deepStrictEqual(parseCron('@daily'), parseCron('0 0 * * *'));
+});
+
+test('cron rejects invalid expressions', () => {
+    ['', '* * * *', '* * * * * *', '60 * * * *', '* 24 * * *', '* * 0 * *', '* * * 13 *', '* * * * 8',
+        '5-1 * * * *', '*/0 * * * *', 'a * * * *', '1,,2 * * * *', '-1 * * * *', '@often']
+        .forEach(expr => assert.throws(() => parseCron(expr), /Invalid cron expression/, expr));
+});
+
+test('cron finds the next matching minute', () => {
+    const at = (...args) => new Date(...args).getTime();
+    const workHours = parseCron('*/15 9-17 * * 1-5');
+    // 2024-01-01 is a Monday
+    assert.strictEqual(nextCronTime(workHours, at(2024, 0, 1, 8, 59, 30)), at(2024, 0, 1, 9, 0));
+    assert.strictEqual(nextCronTime(workHours, at(2024, 0, 1, 9, 0)), at(2024, 0, 1, 9, 15));
+    assert.strictEqual(nextCronTime(workHours, at(2024, 0, 5, 17, 45)), at(2024, 0, 8, 9, 0));
+    // with both day fields set, either one matches: the 13th, or any Friday
+    assert.strictEqual(nextCronTime(parseCron('0 0 13 * 5'), at(2024, 0, 1)), at(2024, 0, 5));
+    assert.strictEqual(nextCronTime(parseCron('0 0 13 * 5'), at(2024, 0, 12)), at(2024, 0, 13));
+    assert.strictEqual(nextCronTime(parseCron('@yearly'), at(2024, 5, 1)), at(2025, 0, 1));
+    assert.strictEqual(nextCronTime(parseCron('0 0 30 2 *'), at(2024, 0, 1)), null);
+});
+
+test('a job records its runs while the outgoing queue is full', () => withSimulation({ seed: 104 }, async (sim) => {
+    const member = sim.createTab('a').createMember({ channelName: 'test', rateLimit: 0.1, maxQueueSize: 1, dropPolicy: 'reject' });
+    await sim.waitFor(() => member.isLeader());
+    member.state.set('first', 1);
+    member.state.set('second', 2);
+    assert.throws(() => member.state.set('third', 3), FlockMember.errors.QueueFullError);
+
+    const runs = [];
+    member.schedule('job', { every: 1000 }, () => { runs.push(Date.now()); });
+    await sim.tick(3500);
+
+    assert.strictEqual(runs.length, 4);
+    assert.strictEqual(member.singleton.store.get(JOB_STATE_PREFIX + 'job').lastRun, runs[runs.length - 1]);
+}));
@@ -0,0 +1,221 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { withSimulation, leaderOf, createFlock, settle } = require('./helpers');
+
+test('elects exactly one leader that every member agrees on', () => withSimulation({ seed: 1 }, async (sim) => {
+    const { members } = createFlock(sim, ['a', 'b', 'c']);
+    await sim.waitFor(() => leaderOf(members));
+    await sim.tick(5000);
+    assert.ok(leaderOf(members));
+}));
+
+test('the same seed replays the same election', async () => {
+    const run = (seed) => withSimulation({ seed }, async (sim) => {
+        const { tabs, members } = createFlock(sim, ['a', 'b', 'c']);
+        const took = await sim.waitFor(() => leaderOf(members));
+        return `${tabs[members.indexOf(leaderOf(members))].name}@${took}`;
+    });
+    assert.strictEqual(await run(7), await run(7));
+});
+
+test('fails over when the leader tab crashes', () => withSimulation({ seed: 2 }, async (sim) => {
+    const { tabs, members } = createFlock(sim, ['a', 'b', 'c']);
+    await sim.waitFor(() => leaderOf(members));
+    const index = members.indexOf(leaderOf(members));
+    tabs[index].crash();
+
+    const rest = members.filter((_, i) => i !== index);
+    await sim.waitFor(() => leaderOf(rest), { timeout: 15000 });
+    assert.notStrictEqual(leaderOf(rest).id, members[index].id);
+}));
+
+test('a partition elects a leader on each side and healing converges on one', () => withSimulation({ seed: 3 }, async (sim) => {
+    const { tabs, members } = createFlock(sim, ['a', 'b', 'c']);
+    await sim.waitFor(() => leaderOf(members));
+
+    sim.partition([tabs[0]], [tabs[1], tabs[2]]);
+    await sim.waitFor(() => leaderOf([members[0]]) && leaderOf(members.slice(1)), { timeout: 15000 });
+
+    sim.heal();
+    await sim.waitFor(() => leaderOf(members), { timeout: 15000 });
+}));
+
+test('targeted handoff passes state to the successor', () => withSimulation({ seed: 4 }, async (sim) => {
+    const { members } = createFlock(sim, ['a', 'b']);
+    await sim.waitFor(() => leaderOf(members));
+    const leader = leaderOf(members);
+    const successor = members.find(m => m !== leader);
+
+    let received = null;
+    let confirmed = null;
+    successor.onLeadershipChange((id, handoff) => { if (id === successor.id) received = handoff; });
+    leader.cedeLeadership({ to: successor.id, state: { cursor: 42 } }).then(ok => { confirmed = ok; });
+    await sim.waitFor(() => received !== null && confirmed !== null);
+
+    assert.strictEqual(confirmed, true);
+    assert.deepStrictEqual(received, { from: leader.id, state: { cursor: 42 } });
+    await sim.waitFor(() => leaderOf(members) && successor.isLeader());
+}));
+
+test('a handoff to an unknown member resolves false at once and the leader keeps serving', () => withSimulation({ seed: 9 }, async (sim) => {
+    const { members } = createFlock(sim, ['a', 'b']);
+    await sim.waitFor(() => leaderOf(members));
+    const leader = leaderOf(members);
+    const other = members.find(m => m !== leader);
+    leader.onRequest((data, reply) => reply(leader.id));
+
+    const ceded = await settle(sim, leader.cedeLeadership({ to: 'mem_gone', state: { cursor: 1 } }), 100);
+    assert.deepStrictEqual(ceded, { value: false });
+    assert.ok(leader.isLeader());
+
+    // nothing is buffered: a request is served well within the handoff timeout
+    const { value } = await settle(sim, other.sendRequest('work'), 1000);
+    assert.strictEqual(value, leader.id);
+    assert.strictEqual(leaderOf(members), leader);
+}));
+
+test('requests pending across a handoff run the handler once', () => withSimulation({ seed: 6 }, async (sim) => {
+    const { members } = createFlock(sim, ['a', 'b', 'c']);
+    await sim.waitFor(() => leaderOf(members));
+    await sim.tick(1000);
+    const leader = leaderOf(members);
+    const [successor, requester] = members.filter(m => m !== leader);
+
+    const calls = [];
+    members.forEach(m => m.onRequest((data, reply) => {
+        calls.push(data);
+        setTimeout(() => reply(`${data} by ${m.id}`), 300);
+    }));
+    const elections = [];
+    requester.on('election', event => elections.push(event));
+
+    // one request is being handled when the handoff starts, the other reaches the old leader during it
+    const inFlight = settle(sim, requester.sendRequest('in-flight'));
+    await sim.tick(100);
+    const handedOff = settle(sim, leader.cedeLeadership({ to: successor.id, state: {} }));
+    const buffered = settle(sim, requester.sendRequest('buffered'));
+
+    assert.deepStrictEqual(await handedOff, { value: true });
+    assert.deepStrictEqual(await inFlight, { value: `in-flight by ${leader.id}` });
+    assert.deepStrictEqual(await buffered, { value: `buffered by ${successor.id}` });
+    await sim.tick(10000);
+    assert.deepStrictEqual(calls.sort(), ['buffered', 'in-flight']);
+    assert.strictEqual(requester.getStats().retries, 0);
+    assert.deepStrictEqual(elections.map(e => [e.leaderId, e.handoff]), [[successor.id, true]]);
+}));
+
+test('a request pending on a crashed leader is retried on the next one', () => withSimulation({ seed: 5 }, async (sim) => {
+    const { tabs, members } = createFlock(sim, ['a', 'b', 'c']);
+    await sim.waitFor(() => leaderOf(members));
+    const index = members.indexOf(leaderOf(members));
+    members.forEach((m, i) => m.onRequest((data, reply) => { if (i !== index) reply(data * 2); }));
+
+    const requester = members[(index + 1) % 3];
+    let result = null;
+    requester.sendRequest(21).then(value => { result = value; }, err => { result = err; });
+    await sim.tick(100);
+    tabs[index].crash();
+
+    await sim.waitFor(() => result !== null, { timeout: 30000 });
+    assert.strictEqual(result, 42);
+}));
+
+test('requests and replies survive message loss', () => withSimulation({ seed: 6, loss: 0.2 }, async (sim) => {
+    const { members } = createFlock(sim, ['a', 'b']);
+    await sim.waitFor(() => leaderOf(members), { timeout: 30000 });
+    members.forEach(m => m.onRequest((data, reply) => reply(data + 1)));
+    const requester = members.find(m => !m.isLeader());
+
+    const results = [];
+    for (let i = 0; i < 5; i++) requester.sendRequest(i).then(value => results.push(value), err => results.push(err.code));
+    await sim.waitFor(() => results.length === 5, { timeout: 60000 });
+    assert.deepStrictEqual(results.slice().sort(), [1, 2, 3, 4, 5]);
+}));
+
+test('the visible tab takes over when the leader crashes, even if a hidden tab notices first', () => withSimulation({ seed: 8 }, async (sim) => {
+    // tabs join 300ms apart, so their leader checks never fire together
+    const tabs = [];
+    const members = [];
+    for (const [name, visibilityState] of [['a', 'hidden'], ['b', 'hidden'], ['v', 'visible'], ['c', 'hidden']]) {
+        const tab = sim.createTab(name);
+        tabs.push(tab);
+        members.push(tab.createMember({ channelName: 'test', metadata: { visibilityState }, priority: visibilityState === 'visible' ? 2 : 0 }));
+        await sim.tick(300);
+    }
+    await sim.waitFor(() => leaderOf(members));
+    const visible = members[2];
+
+    const index = members.indexOf(leaderOf(members));
+    assert.notStrictEqual(members[index], visible);
+    tabs[index].crash();
+
+    const rest = members.filter((_, i) => i !== index);
+    await sim.waitFor(() => leaderOf(rest), { timeout: 15000 });
+    await sim.tick(3000);
+    assert.ok(visible.isLeader());
+}));
+
+// Two members whose priorities are read from `priorities` (index -> number or function of the clock).
+function createRankedPair(sim, priorities, options) {
+    return ['a', 'b'].map((name, i) => sim.createTab(name).createMember({
+        channelName: 'test',
+        ...options,
+        priority: () => (typeof priorities[i] === 'function' ? priorities[i]() : priorities[i])
+    }));
+}
+
+// Advances the clock in small steps and lists every leader the flock agreed on, in order.
+async function watchLeaders(sim, members, ms) {
+    const seen = [leaderOf(members).id];
+    for (let elapsed = 0; elapsed < ms; elapsed += 100) {
+        await sim.tick(100);
+        const leader = leaderOf(members);
+        if (leader && leader.id !== seen[seen.length - 1]) seen.push(leader.id);
+    }
+    return seen;
+}
+
+test('an outranking member takes over only after migrateAfter', () => withSimulation({ seed: 131 }, async (sim) => {
+    const priorities = [0, 0];
+    const members = createRankedPair(sim, priorities, { migrateAfter: 10000 });
+    await sim.waitFor(() => leaderOf(members));
+    const leader = leaderOf(members);
+    const other = members.find(m => m !== leader);
+
+    priorities[members.indexOf(other)] = 2;
+    await sim.tick(9000);
+    assert.strictEqual(leaderOf(members), leader);
+
+    const took = 9000 + await sim.waitFor(() => leaderOf(members) === other, { timeout: 10000 });
+    assert.ok(took >= 10000, `migrated after ${took}ms`);
+    assert.deepStrictEqual(await watchLeaders(sim, members, 20000), [other.id]);
+}));
+
+test('a priority gap below priorityMargin never migrates', () => withSimulation({ seed: 132 }, async (sim) => {
+    const priorities = [0, 0];
+    const members = createRankedPair(sim, priorities, { migrateAfter: 5000, priorityMargin: 3 });
+    await sim.waitFor(() => leaderOf(members));
+    const leader = leaderOf(members);
+
+    priorities[members.indexOf(members.find(m => m !== leader))] = 2;
+    assert.deepStrictEqual(await watchLeaders(sim, members, 60000), [leader.id]);
+}));
+
+test('a priority that flips back and forth does not bounce leadership', () => withSimulation({ seed: 133 }, async (sim) => {
+    const priorities = [0, 0];
+    const members = createRankedPair(sim, priorities, { migrateAfter: 10000 });
+    await sim.waitFor(() => leaderOf(members));
+    const leader = leaderOf(members);
+    const other = members.find(m => m !== leader);
+    const index = members.indexOf(other);
+
+    // outranks the leader for 3s out of every 6s, never for migrateAfter in one stretch
+    priorities[index] = () => (Math.floor(Date.now() / 3000) % 2 ? 2 : 0);
+    assert.deepStrictEqual(await watchLeaders(sim, members, 60000), [leader.id]);
+
+    // once it stays ahead it takes over, and leadership does not come back when it flips again
+    priorities[index] = 2;
+    await sim.waitFor(() => leaderOf(members) === other, { timeout: 20000 });
+    priorities[index] = () => (Math.floor(Date.now() / 3000) % 2 ? 2 : 0);
+    assert.deepStrictEqual(await watchLeaders(sim, members, 60000), [other.id]);
+}));
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { withSimulation, leaderOf, createFlock } = require('./helpers');
+
+test('a late joiner receives the state, even when the snapshot overtakes the heartbeat', () => withSimulation({ seed: 51 }, async (sim) => {
+    const { members } = createFlock(sim, ['a', 'b']);
+    await sim.waitFor(() => leaderOf(members));
+    leaderOf(members).state.set('k', { n: 1 });
+    await sim.waitFor(() => members.every(m => m.state.get('k')));
+
+    const late = sim.createTab('late').createMember({ channelName: 'test' });
+    await sim.waitFor(() => late.singleton.leaderId === leaderOf(members).id);
+    await sim.waitFor(() => late.state.get('k') !== undefined, { timeout: 5000 });
+    assert.deepStrictEqual(late.state.get('k'), { n: 1 });
+}));
+
+test('a follower that missed a diff asks for a snapshot and catches up', () => withSimulation({ seed: 52 }, async (sim) => {
+    const { tabs, members } = createFlock(sim, ['a', 'b']);
+    await sim.waitFor(() => leaderOf(members));
+    const leader = leaderOf(members);
+    const follower = members.find(m => m !== leader);
+    const sent = [];
+    follower.on('message', event => { if (event.direction === 'out') sent.push(event.type); });
+
+    // the first diff never reaches the follower; the second one shows the gap
+    sim.partition([tabs[members.indexOf(leader)]]);
+    leader.state.set('a', 1);
+    await sim.tick(100);
+    sim.heal();
+    leader.state.set('b', 2);
+
+    await sim.waitFor(() => follower.state.get('a') === 1 && follower.state.get('b') === 2, { timeout: 5000 });
+    assert.ok(sent.includes('state-sync-request'));
+    assert.deepStrictEqual(follower.state.keys().sort(), ['a', 'b']);
+}));
+
+test('the state survives a failover and the new leader keeps writing on top of it', () => withSimulation({ seed: 53 }, async (sim) => {
+    const { tabs, members } = createFlock(sim, ['a', 'b', 'c']);
+    await sim.waitFor(() => leaderOf(members));
+    const index = members.indexOf(leaderOf(members));
+    members[index].state.set('k', 'before');
+    await sim.waitFor(() => members.every(m => m.state.get('k') === 'before'));
+
+    tabs[index].crash();
+    const rest = members.filter((_, i) => i !== index);
+    await sim.waitFor(() => leaderOf(rest), { timeout: 15000 });
+    rest.find(m => !m.isLeader()).state.set('j', 'after');
+
+    await sim.waitFor(() => rest.every(m => m.state.get('j') === 'after'), { timeout: 10000 });
+    rest.forEach(m => assert.strictEqual(m.state.get('k'), 'before'));
+}));
@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const FlockTransports = require('../FlockTransports.js');
+
+// A shared localStorage and one fake window per tab; writes fire `storage` in the other tabs.
+function createStorageHarness() {
+    const backing = new Map();
+    const windows = [];
+    const storage = (self) => ({
+        get length() { return backing.size; },
+        key: (i) => Array.from(backing.keys())[i],
+        getItem: (key) => (backing.has(key) ? backing.get(key) : null),
+        setItem: (key, value) => { backing.set(key, value); fire(self, key, value); },
+        removeItem: (key) => { backing.delete(key); fire(self, key, null); }
+    });
+    const fire = (from, key, newValue) => windows.forEach(win => {
+        if (win !== from) win.listeners.forEach(listener => listener({ key, newValue }));
+    });
+    const open = (channelName) => {
+        const win = { listeners: [] };
+        win.addEventListener = (type, listener) => win.listeners.push(listener);
+        win.removeEventListener = (type, listener) => win.listeners.splice(win.listeners.indexOf(listener), 1);
+        win.localStorage = storage(win);
+        windows.push(win);
+        global.window = win;
+        return FlockTransports.localStorage()(channelName);
+    };
+    return { backing, open };
+}
+
+test('localStorage: a channel never reads or collects the keys of a channel that extends its name', () => {
+    const { backing, open } = createStorageHarness();
+    const transports = [open('a'), open('a'), open('a:b'), open('a:b')];
+    const received = transports.map(() => []);
+    transports.forEach((t, i) => t.onMessage(message => received[i].push(message.n)));
+
+    try {
+        transports[2].send({ n: 1 });
+        transports[0].send({ n: 2 });
+        assert.deepStrictEqual(received, [[], [2], [], [1]]);
+
+        // closing 'a' collects only its own entries
+        transports[0].close();
+        transports[1].close();
+        assert.ok(Array.from(backing.keys()).every(key => key.startsWith(`${encodeURIComponent('a:b')}:`)));
+        assert.strictEqual(backing.size, 1);
+    } finally {
+        transports.forEach(t => t.close());
+        delete global.window;
+    }
+});
+
+test('localStorage: messages of one sender arrive in order', () => {
+    const { open } = createStorageHarness();
+    const [a, b] = [open('chan'), open('chan')];
+    const received = [];
+    b.onMessage(message => received.push(message.n));
+    a.onMessage(() => {});
+
+    try {
+        for (let n = 0; n < 50; n++) a.send({ n });
+        assert.deepStrictEqual(received, Array.from({ length: 50 }, (_, n) => n));
+    } finally {
+        a.close();
+        b.close();
+        delete global.window;
+    }
+});
+
+test('workerThreads: a worker exits once its last member has resigned', async () => {
+    const { Worker } = require('worker_threads');
+    const index = require.resolve('../index.js');
+    const worker = new Worker(`
+        const FlockMember = require(${JSON.stringify(index)});
+        const member = new FlockMember({ channelName: 'chan', transport: FlockMember.transports.workerThreads() });
+        setTimeout(() => member.resign(), 100);
+    `, { eval: true });
+    // the main thread relays for the worker, as it would for a flock of several
+    const factory = FlockTransports.workerThreads({ ports: [worker] });
+    const relay = factory('chan');
+    relay.onMessage(() => {});
+
+    let timer;
+    try {
+        const exited = await Promise.race([
+            new Promise(resolve => worker.once('exit', () => resolve(true))),
+            new Promise(resolve => { timer = setTimeout(() => resolve(false), 5000); })
+        ]);
+        assert.ok(exited, 'the worker is still running');
+        assert.strictEqual(factory.ports.length, 0);
+    } finally {
+        clearTimeout(timer);
+        relay.close();
+        await worker.terminate();
+    }
+});
+
+// Collects `{ id, leaderId }` reports and resolves once every member names the same member of the group.
+function waitForOneLeader(count, subscribe, timeout = 10000) {
+    const latest = new Map();
+    let timer;
+    return new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`no agreed leader: ${JSON.stringify(Array.from(latest.values()))}`)), timeout);
+        subscribe((message) => {
+            if (!message || !message.report) return;
+            latest.set(message.report.id, message.report.leaderId);
+            const leaders = new Set(latest.values());
+            const [leaderId] = leaders;
+            if (latest.size === count && leaders.size === 1 && latest.has(leaderId)) resolve(leaderId);
+        });
+    }).finally(() => clearTimeout(timer));
+}
+
+test('workerThreads: two workers elect one leader', async () => {
+    const { Worker } = require('worker_threads');
+    const index = require.resolve('../index.js');
+    const source = `
+        const { parentPort } = require('worker_threads');
+        const FlockMember = require(${JSON.stringify(index)});
+        const member = new FlockMember({ channelName: 'chan', transport: FlockMember.transports.workerThreads() });
+        setInterval(() => parentPort.postMessage({ report: { id: member.id, leaderId: member.singleton.leaderId } }), 100);
+    `;
+    const workers = [new Worker(source, { eval: true }), new Worker(source, { eval: true })];
+    // the main thread only relays: it has no member of its own
+    const factory = FlockTransports.workerThreads({ ports: workers });
+
+    try {
+        const leaderId = await waitForOneLeader(2, (listener) => workers.forEach(w => w.on('message', listener)));
+        assert.ok(leaderId);
+        assert.strictEqual(factory.ports.length, 2);
+    } finally {
+        await Promise.all(workers.map(w => w.terminate()));
+    }
+});
+
+test('cluster: forked workers agree on one leader', async () => {
+    const cluster = require('cluster');
+    cluster.setupPrimary({ exec: require.resolve('./fixtures/cluster-member.js'), silent: true });
+    FlockTransports.clusterRelay();
+    const workers = [cluster.fork(), cluster.fork(), cluster.fork()];
+
+    try {
+        const leaderId = await waitForOneLeader(3, (listener) => workers.forEach(w => w.on('message', listener)));
+        assert.ok(leaderId);
+    } finally {
+        await Promise.all(workers.map(w => new Promise(resolve => {
+            if (w.isDead()) return resolve();
+            w.once('exit', resolve);
+            w.disconnect();
+            setTimeout(() => w.kill(), 2000).unref();
+        })));
+    }
+});